@@ -1,15 +1,84 @@
 // ===== CONSTANTS AND CONFIGURATION =====
 
 const DB_NAME = 'TransientNotesDB';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const STORES = {
   NOTES: 'notes',
   FOLDERS: 'folders',
-  SETTINGS: 'settings'
+  SETTINGS: 'settings',
+  ATTACHMENTS: 'attachments',
+  REVISIONS: 'revisions'
 };
 
+// Sync bookkeeping belongs to this device: kept out of STORES so backups skip it
+const SYNC_STATE_STORE = 'syncState';
+
+// Vault parameters (salt, passphrase check) also stay on this device
+const VAULT_STORE = 'vault';
+const VAULT_KDF_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+
+// Minutes without any keyboard or pointer activity before the vault locks itself
+const VAULT_AUTO_LOCK_OPTIONS = [5, 15, 30, 60];
+const DEFAULT_VAULT_AUTO_LOCK_MINUTES = 15;
+const VAULT_AUTO_LOCK_CHECK_MS = 30 * 1000;
+
+const BACKUP_FORMAT = 'transient-notes-backup';
+const BACKUP_VERSION = 2;
+
+// Grace period before an unreferenced attachment is garbage collected
+const ATTACHMENT_GC_GRACE_MS = 60 * 60 * 1000;
+
+const AUTOSAVE_DELAY_MS = 600;
+
+// Other tabs are told about every write; close writes are reloaded together
+const TAB_SYNC_CHANNEL = 'transient-notes-sync';
+const TAB_SYNC_DELAY_MS = 100;
+
+// Server sync runs at startup, when the network comes back and at this interval
+const SYNC_ADAPTERS = ['none', 'rest', 'webdav'];
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+// Recalculs du plan quand des notes changent pendant la synchronisation, avant d'abandonner
+const SYNC_MAX_ATTEMPTS = 3;
+
+// Keystrokes closer than this are undone together
+const UNDO_COALESCE_MS = 1000;
+const MAX_UNDO_STEPS = 100;
+
+// At most one snapshot per note every 5 minutes, oldest ones dropped past the cap
+const REVISION_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_REVISIONS_PER_NOTE = 50;
+
+// Trashed items are purged after this many days (0 = never)
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 const PARA_CATEGORIES = ['projects', 'areas', 'resources', 'archives'];
 
+const SORT_OPTIONS = ['modified', 'created', 'title', 'manual'];
+
+// Manual order of the "all notes" view; folder views are keyed by folder id
+const MANUAL_ORDER_ALL_KEY = '*';
+
+const DATE_FORMATS = ['relative', 'short', 'long', 'iso'];
+
+const EDITOR_FONT_SIZE_MIN = 12;
+const EDITOR_FONT_SIZE_MAX = 24;
+const DEFAULT_EDITOR_FONT_SIZE = 15;
+
+const THEME_MODES = ['light', 'dark', 'system'];
+const DEFAULT_ACCENT_COLOR = '#2563eb';
+
+// Synchronous copy of the theme read by index.html before the first paint
+const THEME_CACHE_KEY = 'transient-notes-theme';
+
+// Interface state (folder, note, search...) is written at most this often
+const UI_STATE_SAVE_DELAY_MS = 500;
+
+// Areas folder created for journal notes when none is configured
+const JOURNAL_FOLDER_NAME = 'Journal';
+
 const PARA_ICONS = {
   projects: '🎯',
   areas: '🏠',
@@ -31,10 +100,34 @@ const curry = fn => {
   };
 };
 
+const debounce = (fn, delay) => {
+  let timer = null;
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      fn(...args);
+    }, delay);
+  };
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  return debounced;
+};
+
 const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-const formatDate = timestamp => {
+const DATE_FORMATTERS = {
+  short: date => date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' }),
+  long: date => date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' }),
+  iso: date => date.toISOString().slice(0, 10)
+};
+
+const formatDate = (timestamp, format = 'relative') => {
   const date = new Date(timestamp);
+  if (DATE_FORMATTERS[format]) return DATE_FORMATTERS[format](date);
+
   const now = new Date();
   const diffMs = now - date;
   const diffMins = Math.floor(diffMs / 60000);
@@ -46,15 +139,25 @@ const formatDate = timestamp => {
   if (diffHours < 24) return `Il y a ${diffHours}h`;
   if (diffDays < 7) return `Il y a ${diffDays}j`;
 
-  return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
+  return DATE_FORMATTERS.short(date);
 };
 
-const extractTextFromHTML = html => {
-  const div = document.createElement('div');
-  div.innerHTML = html;
-  return div.textContent || div.innerText || '';
+// <template> garde le contenu inerte : ni image chargée ni gestionnaire d'événement exécuté
+const parseHTMLTemplate = html => {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template;
 };
 
+const extractTextFromHTML = html => parseHTMLTemplate(html).content.textContent || '';
+
+const escapeHTML = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 const truncateText = (text, maxLength) =>
   text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
 
@@ -74,10 +177,17 @@ const getSelectionAndRange = () => {
 const isRangeEmpty = range => range.collapsed;
 
 const isBlockElement = element => {
-  const blockTags = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'LI'];
+  const blockTags = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'LI', 'PRE', 'TD', 'TH'];
   return element && blockTags.includes(element.tagName);
 };
 
+// Les cellules de tableau n'acceptent que du texte mis en forme, pas de titres ni de listes
+const isTableCell = element => element?.tagName === 'TD' || element?.tagName === 'TH';
+
+// Un bloc de code ne contient que du texte : les surlignages ne sont pas repris
+const getBlockInnerHTML = block =>
+  block.tagName === 'PRE' ? escapeHTML(getCodeText(block).replace(/\n$/, '')) : block.innerHTML;
+
 const findParentBlock = node => {
   let current = node;
 
@@ -172,10 +282,12 @@ const applyBlockFormat = tagName => {
   if (!sel) return;
 
   const block = findParentBlock(sel.range.commonAncestorContainer);
+  if (isTableCell(block)) return;
   if (!block) {
     // Pas de bloc trouvé, créer un nouveau bloc
     const newBlock = document.createElement(tagName);
-    newBlock.innerHTML = sel.range.toString() || '<br>';
+    newBlock.textContent = sel.range.toString();
+    if (!newBlock.textContent) newBlock.innerHTML = '<br>';
     sel.range.deleteContents();
     sel.range.insertNode(newBlock);
 
@@ -191,7 +303,7 @@ const applyBlockFormat = tagName => {
   // Si c'est déjà le bon type, convertir en <p>
   const newTagName = block.tagName === tagName.toUpperCase() ? 'p' : tagName;
   const newBlock = document.createElement(newTagName);
-  newBlock.innerHTML = block.innerHTML;
+  newBlock.innerHTML = getBlockInnerHTML(block);
   block.replaceWith(newBlock);
 
   // Restaurer la sélection
@@ -210,6 +322,7 @@ const toggleList = listType => {
 
   const { selection, range } = sel;
   let block = findParentBlock(range.commonAncestorContainer);
+  if (isTableCell(block)) return;
 
   // Vérifier si on est déjà dans une liste
   const existingList = hasParentWithTag(range.commonAncestorContainer, 'UL') ||
@@ -243,11 +356,12 @@ const toggleList = listType => {
     const li = document.createElement('li');
 
     if (block && isBlockElement(block)) {
-      li.innerHTML = block.innerHTML;
+      li.innerHTML = getBlockInnerHTML(block);
       list.appendChild(li);
       block.replaceWith(list);
     } else {
-      li.innerHTML = range.toString() || '<br>';
+      li.textContent = range.toString();
+      if (!li.textContent) li.innerHTML = '<br>';
       list.appendChild(li);
       range.deleteContents();
       range.insertNode(list);
@@ -262,6 +376,415 @@ const toggleList = listType => {
   }
 };
 
+// ===== TASK LISTS =====
+
+// Une liste de tâches est un <ul class="task-list"> ; chaque <li> porte data-checked et data-due
+const TASK_LIST_CLASS = 'task-list';
+const TASK_DUE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isTaskList = element => element?.tagName === 'UL' && element.classList.contains(TASK_LIST_CLASS);
+
+const markAsTaskList = list => {
+  list.classList.add(TASK_LIST_CLASS);
+  Array.from(list.children).forEach(item => {
+    if (!item.dataset.checked) item.dataset.checked = 'false';
+  });
+};
+
+const toggleTaskList = () => {
+  const sel = getSelectionAndRange();
+  if (!sel) return;
+
+  const existingList = hasParentWithTag(sel.range.commonAncestorContainer, 'UL') ||
+                       hasParentWithTag(sel.range.commonAncestorContainer, 'OL');
+
+  if (isTaskList(existingList)) {
+    toggleList('ul');
+  } else if (existingList) {
+    // Une liste ordinaire devient une liste de tâches
+    const list = document.createElement('ul');
+    list.innerHTML = existingList.innerHTML;
+    existingList.replaceWith(list);
+    markAsTaskList(list);
+  } else {
+    toggleList('ul');
+    const list = hasParentWithTag(window.getSelection().getRangeAt(0).commonAncestorContainer, 'UL');
+    if (list) markAsTaskList(list);
+  }
+};
+
+const getTaskItemAtSelection = () => {
+  const sel = getSelectionAndRange();
+  const item = sel && hasParentWithTag(sel.range.startContainer, 'LI');
+  return item && isTaskList(item.parentNode) ? item : null;
+};
+
+const promptTaskDueDate = () => {
+  const item = getTaskItemAtSelection();
+  if (!item) {
+    alert('Placez le curseur dans une tâche pour lui donner une échéance');
+    return;
+  }
+
+  const answer = window.prompt('Échéance (AAAA-MM-JJ), vide pour la retirer :', item.dataset.due || '');
+  if (answer === null) return;
+
+  const due = answer.trim();
+  if (!due) {
+    delete item.dataset.due;
+  } else if (TASK_DUE_PATTERN.test(due)) {
+    item.dataset.due = due;
+  } else {
+    alert('Date invalide, format attendu : AAAA-MM-JJ');
+  }
+};
+
+// ===== LINKS =====
+
+const findExternalLink = node => {
+  const link = hasParentWithTag(node, 'A');
+  return link && !link.classList.contains('note-link') ? link : null;
+};
+
+// « exemple.fr » devient https://exemple.fr
+const normalizeLinkUrl = url => {
+  const trimmed = url.trim();
+  if (!trimmed || getUrlScheme(trimmed) || /^[/#?]/.test(trimmed)) return trimmed;
+  return `https://${trimmed}`;
+};
+
+const placeCaretAfter = node => {
+  const range = document.createRange();
+  range.setStartAfter(node);
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+const insertLinkAtRange = (range, url) => {
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  if (range.collapsed) {
+    link.textContent = url;
+  } else {
+    link.appendChild(range.extractContents());
+  }
+  range.insertNode(link);
+  placeCaretAfter(link);
+  return link;
+};
+
+const editLink = () => {
+  const sel = getSelectionAndRange();
+  if (!sel) return;
+
+  const existingLink = findExternalLink(sel.range.commonAncestorContainer);
+  const answer = window.prompt(
+    'Adresse du lien (vide pour le retirer) :',
+    existingLink?.getAttribute('href') || 'https://'
+  );
+  if (answer === null) return;
+
+  const url = normalizeLinkUrl(answer);
+  if (url && !isSafeLinkUrl(url)) {
+    alert('Adresse non autorisée : seuls les liens http(s) et mailto sont acceptés');
+    return;
+  }
+
+  if (existingLink) {
+    if (url) existingLink.setAttribute('href', url);
+    else unwrapElement(existingLink);
+  } else if (url && url !== 'https://') {
+    insertLinkAtRange(sel.range, url);
+  }
+};
+
+// ===== CODE BLOCKS =====
+
+const getCaretOffsetIn = root => {
+  const sel = getSelectionAndRange();
+  if (!sel || !root.contains(sel.range.startContainer)) return null;
+
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  range.setEnd(sel.range.startContainer, sel.range.startOffset);
+  return range.toString().length;
+};
+
+const setCaretOffsetIn = (root, offset) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let node = walker.nextNode();
+  let target = { node: root, offset: root.childNodes.length };
+
+  while (node) {
+    if (remaining <= node.length) {
+      target = { node, offset: remaining };
+      break;
+    }
+    remaining -= node.length;
+    node = walker.nextNode();
+  }
+
+  const range = document.createRange();
+  range.setStart(target.node, target.offset);
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+// Le surlignage est recalculé à chaque frappe : le curseur est repositionné par son rang dans le texte
+const highlightCodeBlock = pre => {
+  const caret = getCaretOffsetIn(pre);
+  const text = getCodeText(pre);
+  pre.innerHTML = renderHighlightedCode(highlightCode(text, pre.dataset.language));
+  if (caret !== null) setCaretOffsetIn(pre, caret);
+};
+
+const highlightCodeBlocks = root => root.querySelectorAll('pre').forEach(highlightCodeBlock);
+
+const getCurrentCodeBlock = () => {
+  const sel = getSelectionAndRange();
+  return sel ? hasParentWithTag(sel.range.startContainer, 'PRE') : null;
+};
+
+// Insère du texte brut ; une ligne vide finale est nécessaire pour que le curseur puisse s'y placer
+const insertCodeText = (pre, text) => {
+  const sel = getSelectionAndRange();
+  sel.range.deleteContents();
+  const textNode = document.createTextNode(text);
+  sel.range.insertNode(textNode);
+  placeCaretAfter(textNode);
+
+  if (text.endsWith('\n') && getCaretOffsetIn(pre) === getCodeText(pre).length) {
+    pre.appendChild(document.createTextNode('\n'));
+  }
+  highlightCodeBlock(pre);
+};
+
+// Entrée sur la dernière ligne vide sort du bloc de code
+const exitCodeBlock = pre => {
+  const text = getCodeText(pre).replace(/\n*$/, '');
+  pre.textContent = text ? `${text}\n` : '\n';
+  highlightCodeBlock(pre);
+
+  const paragraph = document.createElement('p');
+  paragraph.innerHTML = '<br>';
+  pre.after(paragraph);
+  const range = document.createRange();
+  range.setStart(paragraph, 0);
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+const getTopLevelBlocksInRange = range => {
+  const bodyElement = document.getElementById('noteBody');
+  return Array.from(bodyElement.children).filter(block => range.intersectsNode(block));
+};
+
+const toggleCodeBlock = () => {
+  const sel = getSelectionAndRange();
+  if (!sel) return;
+
+  const existingBlock = hasParentWithTag(sel.range.startContainer, 'PRE');
+  if (existingBlock) {
+    // Retour au texte : une ligne de code par paragraphe
+    const paragraphs = getCodeText(existingBlock).replace(/\n$/, '').split('\n').map(line => {
+      const paragraph = document.createElement('p');
+      if (line) paragraph.textContent = line;
+      else paragraph.innerHTML = '<br>';
+      return paragraph;
+    });
+    existingBlock.replaceWith(...paragraphs);
+    placeCaretAfter(paragraphs[paragraphs.length - 1].lastChild);
+    return;
+  }
+
+  if (isTableCell(findParentBlock(sel.range.startContainer))) return;
+
+  const pre = document.createElement('pre');
+  const blocks = getTopLevelBlocksInRange(sel.range);
+  if (blocks.length > 0) {
+    pre.textContent = `${blocks.map(block => block.textContent).join('\n')}\n`;
+    blocks[0].before(pre);
+    blocks.forEach(block => block.remove());
+  } else {
+    pre.textContent = `${sel.range.toString()}\n`;
+    sel.range.deleteContents();
+    sel.range.insertNode(pre);
+  }
+  setCaretOffsetIn(pre, pre.textContent.length - 1);
+};
+
+const setCodeBlockLanguage = (pre, language) => {
+  if (language) pre.dataset.language = language;
+  else delete pre.dataset.language;
+  highlightCodeBlock(pre);
+};
+
+// ===== TABLES =====
+
+const TABLE_DEFAULT_COLUMNS = 3;
+const TABLE_DEFAULT_ROWS = 3;
+
+const createTableCell = tagName => {
+  const cell = document.createElement(tagName);
+  cell.innerHTML = '<br>';
+  return cell;
+};
+
+const createTableRow = (columns, cellTag) => {
+  const row = document.createElement('tr');
+  for (let i = 0; i < columns; i++) row.appendChild(createTableCell(cellTag));
+  return row;
+};
+
+// Première ligne en en-tête, comme les tableaux Markdown
+const createTable = (rows, columns) => {
+  const table = document.createElement('table');
+  table.appendChild(document.createElement('thead')).appendChild(createTableRow(columns, 'th'));
+  const body = table.appendChild(document.createElement('tbody'));
+  for (let i = 1; i < rows; i++) body.appendChild(createTableRow(columns, 'td'));
+  return table;
+};
+
+const selectCellContents = cell => {
+  const range = document.createRange();
+  range.selectNodeContents(cell);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+const getCurrentTableCell = () => {
+  const sel = getSelectionAndRange();
+  if (!sel) return null;
+  return hasParentWithTag(sel.range.startContainer, 'TD') || hasParentWithTag(sel.range.startContainer, 'TH');
+};
+
+const insertTable = () => {
+  const sel = getSelectionAndRange();
+  if (!sel || getCurrentTableCell()) return;
+
+  const bodyElement = document.getElementById('noteBody');
+  const table = createTable(TABLE_DEFAULT_ROWS, TABLE_DEFAULT_COLUMNS);
+  const [block] = getTopLevelBlocksInRange(sel.range);
+
+  if (block && !block.textContent.trim() && !block.querySelector('img')) {
+    block.replaceWith(table);
+  } else if (block) {
+    block.after(table);
+  } else {
+    bodyElement.appendChild(table);
+  }
+  // Un paragraphe après le tableau permet de continuer à écrire
+  if (!table.nextElementSibling) {
+    const paragraph = document.createElement('p');
+    paragraph.innerHTML = '<br>';
+    table.after(paragraph);
+  }
+  selectCellContents(table.querySelector('th'));
+};
+
+const removeTable = table => {
+  const paragraph = document.createElement('p');
+  paragraph.innerHTML = '<br>';
+  table.replaceWith(paragraph);
+  placeCaretAfter(paragraph.firstChild);
+};
+
+const addTableRow = () => {
+  const cell = getCurrentTableCell();
+  if (!cell) return;
+
+  const row = cell.parentNode;
+  const table = row.closest('table');
+  const newRow = createTableRow(row.children.length, 'td');
+
+  if (row.parentNode.tagName === 'THEAD') {
+    const body = table.tBodies[0] || table.appendChild(document.createElement('tbody'));
+    body.insertBefore(newRow, body.firstChild);
+  } else {
+    row.after(newRow);
+  }
+  selectCellContents(newRow.children[cell.cellIndex]);
+};
+
+const removeTableRow = () => {
+  const cell = getCurrentTableCell();
+  if (!cell) return;
+
+  const row = cell.parentNode;
+  const table = row.closest('table');
+  if (table.rows.length === 1) {
+    removeTable(table);
+    return;
+  }
+
+  const rowIndex = row.rowIndex;
+  if (row.parentNode.tagName === 'THEAD') {
+    // La première ligne du corps devient l'en-tête
+    const promoted = table.tBodies[0].rows[0];
+    const header = document.createElement('tr');
+    Array.from(promoted.children).forEach(bodyCell => {
+      const th = document.createElement('th');
+      th.innerHTML = bodyCell.innerHTML;
+      header.appendChild(th);
+    });
+    promoted.remove();
+    row.replaceWith(header);
+  } else {
+    row.remove();
+  }
+
+  const nextRow = table.rows[Math.min(rowIndex, table.rows.length - 1)];
+  selectCellContents(nextRow.children[Math.min(cell.cellIndex, nextRow.children.length - 1)]);
+};
+
+const addTableColumn = () => {
+  const cell = getCurrentTableCell();
+  if (!cell) return;
+
+  const columnIndex = cell.cellIndex;
+  const table = cell.closest('table');
+  Array.from(table.rows).forEach(row => {
+    const cellTag = row.parentNode.tagName === 'THEAD' ? 'th' : 'td';
+    row.children[columnIndex].after(createTableCell(cellTag));
+  });
+  selectCellContents(cell.parentNode.children[columnIndex + 1]);
+};
+
+const removeTableColumn = () => {
+  const cell = getCurrentTableCell();
+  if (!cell) return;
+
+  const columnIndex = cell.cellIndex;
+  const row = cell.parentNode;
+  const table = cell.closest('table');
+  if (row.children.length === 1) {
+    removeTable(table);
+    return;
+  }
+
+  Array.from(table.rows).forEach(tableRow => tableRow.children[columnIndex]?.remove());
+  selectCellContents(row.children[Math.min(columnIndex, row.children.length - 1)]);
+};
+
+// Tab passe à la cellule suivante et ajoute une ligne après la dernière
+const moveToAdjacentCell = (cell, step) => {
+  const cells = Array.from(cell.closest('table').querySelectorAll('th, td'));
+  const target = cells[cells.indexOf(cell) + step];
+  if (target) {
+    selectCellContents(target);
+  } else if (step > 0) {
+    addTableRow();
+  }
+};
+
 // ===== FORMAT ACTION MAPPINGS =====
 
 const formatActions = {
@@ -274,7 +797,155 @@ const formatActions = {
   h3: () => applyBlockFormat('h3'),
   blockquote: () => applyBlockFormat('blockquote'),
   ul: () => toggleList('ul'),
-  ol: () => toggleList('ol')
+  ol: () => toggleList('ol'),
+  tasks: () => toggleTaskList(),
+  taskDue: () => promptTaskDueDate(),
+  link: () => editLink(),
+  code: () => applyInlineStyle('code'),
+  codeBlock: () => toggleCodeBlock(),
+  table: () => insertTable(),
+  tableRowAdd: () => addTableRow(),
+  tableRowRemove: () => removeTableRow(),
+  tableColumnAdd: () => addTableColumn(),
+  tableColumnRemove: () => removeTableColumn()
+};
+
+// ===== VAULT (CRYPTO) =====
+
+// Champs chiffrés par store ; identifiants, dossiers et dates restent lisibles pour les index
+const VAULT_FIELDS = {
+  [STORES.NOTES]: ['title', 'content', 'tags', 'manualTags'],
+  [STORES.REVISIONS]: ['title', 'content'],
+  [STORES.ATTACHMENTS]: ['name', 'blob'],
+  [STORES.SETTINGS]: ['value'],
+  [SYNC_STATE_STORE]: ['base']
+};
+
+const VAULT_META_KEY = 'vault';
+const VAULT_CHECK_TEXT = 'transient-notes-vault';
+const VAULT_LOCKED_MESSAGE = 'Le coffre est verrouillé';
+
+// Paramètres du coffre s'il est activé, clé en mémoire tant qu'il est déverrouillé
+let vaultMeta = null;
+let vaultKey = null;
+
+const isVaultEnabled = () => vaultMeta !== null;
+
+const isVaultLocked = () => isVaultEnabled() && !vaultKey;
+
+const bytesToBase64 = bytes => btoa(Array.from(new Uint8Array(bytes), byte => String.fromCharCode(byte)).join(''));
+
+const base64ToBytes = base64 => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const deriveVaultKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Un vecteur d'initialisation neuf à chaque chiffrement, jamais réutilisé avec la même clé
+const encryptBytes = async (key, bytes) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes) };
+};
+
+// Échoue (OperationError) si la clé est mauvaise ou les données altérées
+const decryptBytes = (key, { iv, data }) =>
+  crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+
+const encryptText = (key, text) => encryptBytes(key, new TextEncoder().encode(text));
+
+const decryptText = async (key, sealed) => new TextDecoder().decode(await decryptBytes(key, sealed));
+
+const createVault = async passphrase => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+  const meta = {
+    key: VAULT_META_KEY,
+    salt,
+    iterations: VAULT_KDF_ITERATIONS,
+    check: await encryptText(key, VAULT_CHECK_TEXT),
+    created: Date.now()
+  };
+  return { meta, key };
+};
+
+// Clé du coffre, ou null si la phrase secrète est fausse
+const openVault = async (meta, passphrase) => {
+  const key = await deriveVaultKey(passphrase, meta.salt, meta.iterations);
+  try {
+    return await decryptText(key, meta.check) === VAULT_CHECK_TEXT ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Le contenu binaire d'une pièce jointe est chiffré tel quel, les autres champs en JSON
+const sealRecord = async (storeName, record) => {
+  const fields = VAULT_FIELDS[storeName];
+  if (!fields || !record || !isVaultEnabled()) return record;
+  if (isVaultLocked()) throw new Error(VAULT_LOCKED_MESSAGE);
+
+  const clear = Object.fromEntries(Object.entries(record).filter(([field]) => !fields.includes(field)));
+  const { blob, ...secret } = Object.fromEntries(fields.map(field => [field, record[field]]));
+  const sealed = { ...clear, sealed: await encryptText(vaultKey, JSON.stringify(secret)) };
+  return blob instanceof Blob
+    ? { ...sealed, sealedBlob: { ...await encryptBytes(vaultKey, await blob.arrayBuffer()), type: blob.type } }
+    : sealed;
+};
+
+const openRecord = async record => {
+  if (!record?.sealed) return record;
+  if (!vaultKey) throw new Error(VAULT_LOCKED_MESSAGE);
+
+  const { sealed, sealedBlob, ...clear } = record;
+  const opened = { ...clear, ...JSON.parse(await decryptText(vaultKey, sealed)) };
+  return sealedBlob
+    ? { ...opened, blob: new Blob([await decryptBytes(vaultKey, sealedBlob)], { type: sealedBlob.type }) }
+    : opened;
+};
+
+const openRecords = records => Promise.all(records.map(openRecord));
+
+// Une sauvegarde chiffrée garde le format et la version en clair pour être reconnue à l'import
+const isEncryptedBackup = data =>
+  data?.format === BACKUP_FORMAT && Number.isInteger(data.encrypted?.iterations) &&
+  ['salt', 'iv', 'data'].every(field => typeof data.encrypted[field] === 'string');
+
+const encryptBackup = async (backup, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+  const { iv, data } = await encryptText(key, JSON.stringify(backup));
+  return {
+    format: backup.format,
+    version: backup.version,
+    exportedAt: backup.exportedAt,
+    encrypted: {
+      algorithm: 'AES-GCM',
+      kdf: 'PBKDF2-SHA-256',
+      iterations: VAULT_KDF_ITERATIONS,
+      salt: bytesToBase64(salt),
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(data)
+    }
+  };
+};
+
+// Le contenu déchiffré, ou null si la phrase secrète est fausse
+const decryptBackup = async ({ encrypted }, passphrase) => {
+  const key = await deriveVaultKey(passphrase, base64ToBytes(encrypted.salt), encrypted.iterations);
+  try {
+    return JSON.parse(await decryptText(key, { iv: base64ToBytes(encrypted.iv), data: base64ToBytes(encrypted.data) }));
+  } catch (error) {
+    return null;
+  }
 };
 
 // ===== DATABASE OPERATIONS =====
@@ -308,36 +979,131 @@ const openDatabase = () => new Promise((resolve, reject) => {
     if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
       db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
     }
+
+    // Create attachments store (v2)
+    if (!db.objectStoreNames.contains(STORES.ATTACHMENTS)) {
+      db.createObjectStore(STORES.ATTACHMENTS, { keyPath: 'id' });
+    }
+
+    // Create revisions store (v4)
+    if (!db.objectStoreNames.contains(STORES.REVISIONS)) {
+      const revisionsStore = db.createObjectStore(STORES.REVISIONS, { keyPath: 'id' });
+      revisionsStore.createIndex('noteId', 'noteId', { unique: false });
+    }
+
+    // Create server sync state store (v5)
+    if (!db.objectStoreNames.contains(SYNC_STATE_STORE)) {
+      db.createObjectStore(SYNC_STATE_STORE, { keyPath: 'key' });
+    }
+
+    // Create vault store (v6)
+    if (!db.objectStoreNames.contains(VAULT_STORE)) {
+      db.createObjectStore(VAULT_STORE, { keyPath: 'key' });
+    }
+
+    // Index notes by tag (v3)
+    const notesStore = event.target.transaction.objectStore(STORES.NOTES);
+    if (!notesStore.indexNames.contains('tags')) {
+      notesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    }
+
+    if (event.oldVersion >= 1) {
+      migrateNotes(event.target.transaction, event.oldVersion);
+    }
   };
 });
 
+// Migrations appliquées note par note, dans l'ordre, par un seul curseur
+const NOTE_MIGRATIONS = [
+  {
+    // v2 : sort les images en data URL vers le store des pièces jointes
+    version: 2,
+    migrate: (note, transaction) => {
+      const { content, attachments } = extractInlineImages(note.content);
+      if (attachments.length === 0) return note;
+      const attachmentsStore = transaction.objectStore(STORES.ATTACHMENTS);
+      attachments.forEach(attachment => attachmentsStore.put(attachment));
+      return { ...note, content };
+    }
+  },
+  {
+    // v3 : calcule les tags pour l'index multiEntry
+    version: 3,
+    migrate: note => normalizeNote(note)
+  }
+];
+
+const migrateNotes = (transaction, oldVersion) => {
+  const migrations = NOTE_MIGRATIONS.filter(migration => migration.version > oldVersion);
+  if (migrations.length === 0) return;
+
+  transaction.objectStore(STORES.NOTES).openCursor().onsuccess = event => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const migrated = migrations.reduce((note, migration) => migration.migrate(note, transaction), cursor.value);
+    if (migrated !== cursor.value) cursor.update(migrated);
+    cursor.continue();
+  };
+};
+
+// Une seule connexion, ouverte à la demande et partagée par toutes les transactions
+let databasePromise = null;
+
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase()
+      .then(db => {
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        db.onclose = () => {
+          databasePromise = null;
+        };
+        return db;
+      })
+      .catch(error => {
+        databasePromise = null;
+        throw error;
+      });
+  }
+  return databasePromise;
+};
+
 const performTransaction = curry((storeName, mode, operation) =>
-  openDatabase().then(db => {
+  getDatabase().then(db => {
     const transaction = db.transaction(storeName, mode);
     const store = transaction.objectStore(storeName);
     const request = operation(store);
 
     return new Promise((resolve, reject) => {
-      transaction.oncomplete = () => resolve(request.result);
+      transaction.oncomplete = () => {
+        if (mode === 'readwrite') notifyStoresChanged([storeName]);
+        resolve(request.result);
+      };
       transaction.onerror = () => reject(transaction.error);
     });
   })
 );
 
+// Lectures et écritures passent par le coffre : déchiffrées à la sortie, chiffrées à l'entrée
 const getAll = storeName =>
-  performTransaction(storeName, 'readonly', store => store.getAll());
+  performTransaction(storeName, 'readonly', store => store.getAll()).then(openRecords);
 
 const getById = curry((storeName, id) =>
-  performTransaction(storeName, 'readonly', store => store.get(id))
+  performTransaction(storeName, 'readonly', store => store.get(id)).then(openRecord)
 );
 
-const add = curry((storeName, item) =>
-  performTransaction(storeName, 'readwrite', store => store.add(item))
-);
+const add = curry(async (storeName, item) => {
+  const sealed = await sealRecord(storeName, item);
+  return performTransaction(storeName, 'readwrite', store => store.add(sealed));
+});
 
-const update = curry((storeName, item) =>
-  performTransaction(storeName, 'readwrite', store => store.put(item))
-);
+const update = curry(async (storeName, item) => {
+  const sealed = await sealRecord(storeName, item);
+  return performTransaction(storeName, 'readwrite', store => store.put(sealed));
+});
 
 const remove = curry((storeName, id) =>
   performTransaction(storeName, 'readwrite', store => store.delete(id))
@@ -347,52 +1113,390 @@ const getByIndex = curry((storeName, indexName, value) =>
   performTransaction(storeName, 'readonly', store => {
     const index = store.index(indexName);
     return index.getAll(value);
+  }).then(openRecords)
+);
+
+// Écrit les enregistrements tels quels : à réserver aux écritures déjà chiffrées
+const performRawBulkWrite = curry((storeNames, operation) =>
+  getDatabase().then(db => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    operation(storeName => transaction.objectStore(storeName));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        notifyStoresChanged(storeNames);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
   })
 );
 
-// ===== DOMAIN FUNCTIONS (PURE) =====
+// Le chiffrement est asynchrone et une transaction IndexedDB se termine dès qu'on attend :
+// les écritures sont relevées, chiffrées, puis rejouées dans une seule transaction
+const VAULT_WRITE_METHODS = ['add', 'put', 'delete', 'clear'];
+
+const performBulkWrite = curry(async (storeNames, operation) => {
+  const writes = [];
+  operation(storeName => Object.fromEntries(VAULT_WRITE_METHODS.map(method => [
+    method,
+    (...args) => writes.push({ storeName, method, args })
+  ])));
+
+  const sealedWrites = await Promise.all(writes.map(async write =>
+    write.method === 'add' || write.method === 'put'
+      ? { ...write, args: [await sealRecord(write.storeName, write.args[0])] }
+      : write
+  ));
+  return performRawBulkWrite(storeNames, getStore => {
+    sealedWrites.forEach(({ storeName, method, args }) => getStore(storeName)[method](...args));
+  });
+});
+
+const getAllKeys = storeName =>
+  performTransaction(storeName, 'readonly', store => store.getAllKeys());
+
+const getAllStores = async () => {
+  const entries = await Promise.all(
+    Object.values(STORES).map(async storeName => [storeName, await getAll(storeName)])
+  );
+  return Object.fromEntries(entries);
+};
+
+// ===== SETTINGS =====
+
+const isOneOf = values => value => values.includes(value);
+const isNullOr = isValid => value => value === null || isValid(value);
+const isString = value => typeof value === 'string';
+
+const isStringArrayRecord = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.values(value).every(shortcuts => Array.isArray(shortcuts) && shortcuts.every(isString));
+
+// Une valeur absente ou invalide (sauvegarde ancienne ou modifiée à la main) retombe sur le défaut
+const SETTINGS_SCHEMA = {
+  trashRetentionDays: { defaultValue: DEFAULT_TRASH_RETENTION_DAYS, isValid: isOneOf(TRASH_RETENTION_OPTIONS) },
+  shortcuts: { defaultValue: {}, isValid: isStringArrayRecord },
+  sortBy: { defaultValue: 'modified', isValid: isOneOf(SORT_OPTIONS) },
+  currentFolderId: { defaultValue: null, isValid: isNullOr(isString) },
+  currentNoteId: { defaultValue: null, isValid: isNullOr(isString) },
+  searchQuery: { defaultValue: '', isValid: isString },
+  collapsedCategories: {
+    defaultValue: [],
+    isValid: value => Array.isArray(value) && value.every(isOneOf(PARA_CATEGORIES))
+  },
+  defaultCategory: { defaultValue: null, isValid: isNullOr(isOneOf(PARA_CATEGORIES)) },
+  editorFontSize: {
+    defaultValue: DEFAULT_EDITOR_FONT_SIZE,
+    isValid: value => Number.isInteger(value) && value >= EDITOR_FONT_SIZE_MIN && value <= EDITOR_FONT_SIZE_MAX
+  },
+  dateFormat: { defaultValue: 'relative', isValid: isOneOf(DATE_FORMATS) },
+  theme: { defaultValue: 'system', isValid: isOneOf(THEME_MODES) },
+  highContrast: { defaultValue: false, isValid: value => typeof value === 'boolean' },
+  accentColor: { defaultValue: DEFAULT_ACCENT_COLOR, isValid: value => isString(value) && /^#[0-9a-f]{6}$/i.test(value) },
+  syncAdapter: { defaultValue: 'none', isValid: isOneOf(SYNC_ADAPTERS) },
+  syncUrl: { defaultValue: '', isValid: isString },
+  syncUsername: { defaultValue: '', isValid: isString },
+  syncPassword: { defaultValue: '', isValid: isString },
+  vaultAutoLockMinutes: { defaultValue: DEFAULT_VAULT_AUTO_LOCK_MINUTES, isValid: isOneOf(VAULT_AUTO_LOCK_OPTIONS) },
+  journalFolderId: { defaultValue: null, isValid: isNullOr(isString) },
+  dailyTemplateId: { defaultValue: null, isValid: isNullOr(isString) },
+  weeklyTemplateId: { defaultValue: null, isValid: isNullOr(isString) },
+  manualOrders: { defaultValue: {}, isValid: isStringArrayRecord }
+};
+
+const SETTINGS_VERSION_KEY = 'settingsVersion';
+
+// La migration d'indice i fait passer les paramètres enregistrés de la version i à i + 1
+const SETTINGS_MIGRATIONS = [
+  // v0 → v1 : les clés inconnues sont abandonnées, les nombres enregistrés en texte convertis
+  settings => Object.fromEntries(Object.entries(settings)
+    .filter(([key]) => SETTINGS_SCHEMA[key])
+    .map(([key, value]) => [key, typeof SETTINGS_SCHEMA[key].defaultValue === 'number' && isString(value)
+      ? Number(value)
+      : value]))
+];
+
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS.length;
+
+const migrateSettings = (settings, fromVersion) =>
+  SETTINGS_MIGRATIONS.slice(fromVersion).reduce((migrated, migrate) => migrate(migrated), settings);
+
+const resolveSettings = settings => Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, { defaultValue, isValid }]) => [
+    key,
+    settings[key] !== undefined && isValid(settings[key]) ? settings[key] : defaultValue
+  ])
+);
+
+// Les paramètres d'une version antérieure sont migrés puis réécrits une fois pour toutes
+const loadSettings = async () => {
+  const records = await getAll(STORES.SETTINGS);
+  const { [SETTINGS_VERSION_KEY]: version = 0, ...stored } =
+    Object.fromEntries(records.map(record => [record.key, record.value]));
+  if (version >= SETTINGS_VERSION) return resolveSettings(stored);
+
+  const migrated = migrateSettings(stored, version);
+  await performBulkWrite([STORES.SETTINGS], getStore => {
+    const store = getStore(STORES.SETTINGS);
+    store.clear();
+    Object.entries(migrated).forEach(([key, value]) => store.put({ key, value }));
+    store.put({ key: SETTINGS_VERSION_KEY, value: SETTINGS_VERSION });
+  });
+  return resolveSettings(migrated);
+};
+
+const saveSetting = curry(async (key, value) => {
+  if (!SETTINGS_SCHEMA[key]) throw new Error(`Paramètre inconnu : ${key}`);
+  if (!SETTINGS_SCHEMA[key].isValid(value)) throw new Error(`Valeur invalide pour ${key} : ${JSON.stringify(value)}`);
+  return update(STORES.SETTINGS, { key, value });
+});
+
+// ===== THEME (PURE) =====
+
+const resolveTheme = (mode, prefersDark) =>
+  mode === 'system' ? (prefersDark ? 'dark' : 'light') : mode;
+
+// Luminance relative WCAG d'une couleur #rrggbb
+const getRelativeLuminance = hex => {
+  const [r, g, b] = [1, 3, 5]
+    .map(index => parseInt(hex.slice(index, index + 2), 16) / 255)
+    .map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// Au-delà de ce seuil, le texte sombre contraste mieux que le blanc
+const getContrastingTextColor = hex =>
+  getRelativeLuminance(hex) > 0.179 ? '#111827' : '#ffffff';
+
+const getNextThemeMode = mode =>
+  THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+
+// ===== DOMAIN FUNCTIONS (PURE) =====
 
 const createNote = (title = 'Sans titre', content = '', folderId = null) => ({
   id: generateId(),
   title: title || 'Sans titre',
   content,
   folderId,
+  tags: [],
+  manualTags: [],
   created: Date.now(),
   modified: Date.now()
 });
 
-const createFolder = (name, category) => ({
+// Les notes créées avant l'arrivée des tags n'ont pas ces champs
+const normalizeNote = note => {
+  if (Array.isArray(note.tags) && Array.isArray(note.manualTags)) return note;
+  const manualTags = note.manualTags || [];
+  return { ...note, manualTags, tags: note.tags || computeNoteTags(manualTags, note.content) };
+};
+
+// ===== TAGS =====
+
+const INLINE_TAG_PATTERN = /(^|[\s(\[])#([\p{L}\p{N}_-]*[\p{L}_-][\p{L}\p{N}_-]*)/gu;
+
+const normalizeTag = tag => tag
+  .trim()
+  .replace(/^#+/, '')
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .replace(/[^\p{L}\p{N}_-]/gu, '');
+
+const uniqueTags = tags => Array.from(new Set(tags.map(normalizeTag).filter(Boolean)));
+
+const extractInlineTags = html =>
+  uniqueTags(Array.from(extractTextFromHTML(html).matchAll(INLINE_TAG_PATTERN), match => match[2]));
+
+// tags = tags saisis à la main + #tags détectés dans le texte (c'est ce champ qui est indexé)
+const computeNoteTags = (manualTags, content) =>
+  uniqueTags([...manualTags, ...extractInlineTags(content)]);
+
+const countTags = notes => notes.reduce((counts, note) => {
+  (note.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  return counts;
+}, new Map());
+
+const filterNotesByTags = curry((tags, mode, notes) => notes.filter(note => {
+  const noteTags = note.tags || [];
+  return mode === 'and'
+    ? tags.every(tag => noteTags.includes(tag))
+    : tags.some(tag => noteTags.includes(tag));
+}));
+
+// Renomme les #tags du texte sans toucher au balisage
+const renameInlineTag = (html, oldTag, newTag) => {
+  const template = parseHTMLTemplate(html);
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  // Un tag normalisé ne contient que lettres, chiffres, _ et - : rien à échapper
+  const pattern = new RegExp(`(^|[\\s(\\[])#${oldTag}(?![\\p{L}\\p{N}_-])`, 'giu');
+  let changed = false;
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const replaced = node.textContent.replace(pattern, `$1#${newTag}`);
+    if (replaced !== node.textContent) {
+      node.textContent = replaced;
+      changed = true;
+    }
+  }
+
+  return changed ? template.innerHTML : html;
+};
+
+const renameTagInNote = (note, oldTag, newTag) => {
+  const manualTags = uniqueTags((note.manualTags || []).map(tag => (tag === oldTag ? newTag : tag)));
+  const content = renameInlineTag(note.content, oldTag, newTag);
+  return updateNoteContent(note, {
+    content,
+    manualTags,
+    tags: computeNoteTags(manualTags, content)
+  });
+};
+
+const createFolder = (name, category, parentId = null) => ({
   id: generateId(),
   name,
   category,
+  parentId,
   created: Date.now()
 });
 
+// Un dossier dont le parent a disparu est traité comme un dossier racine
+const getEffectiveParentId = (folders, folder) =>
+  folder.parentId && folders.some(f => f.id === folder.parentId) ? folder.parentId : null;
+
+const getChildFolders = (folders, parentId, category) => folders
+  .filter(folder => folder.category === category && getEffectiveParentId(folders, folder) === parentId)
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+const getDescendantFolderIds = (folders, folderId) => {
+  const ids = new Set([folderId]);
+  let added = true;
+  while (added) {
+    added = false;
+    folders.forEach(folder => {
+      if (!ids.has(folder.id) && ids.has(folder.parentId)) {
+        ids.add(folder.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+};
+
+const getFolderPath = (folders, folder) => {
+  const path = [];
+  const visited = new Set();
+  let current = folder;
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift(current);
+    current = folders.find(f => f.id === current.parentId);
+  }
+  return path;
+};
+
+const canMoveFolder = (folders, folderId, newParentId) =>
+  !newParentId || !getDescendantFolderIds(folders, folderId).has(newParentId);
+
+const moveNotesToFolder = (notes, noteIds, folderId) => notes
+  .filter(note => noteIds.includes(note.id) && note.folderId !== folderId)
+  .map(note => updateNoteContent(note, { folderId }));
+
+// L'archivage mémorise l'emplacement d'origine pour pouvoir restaurer
+const archiveFolder = (folders, folderId) => {
+  const folder = folders.find(f => f.id === folderId);
+  return moveFolder(folders, folderId, { parentId: null, category: 'archives' })
+    .map(f => f.id === folderId
+      ? { ...f, archivedFrom: { category: folder.category, parentId: folder.parentId || null }, archivedAt: Date.now() }
+      : f);
+};
+
+const unarchiveFolder = (folders, folderId) => {
+  const folder = folders.find(f => f.id === folderId);
+  const { category, parentId } = folder.archivedFrom;
+  const parent = folders.find(f => f.id === parentId && f.category === category);
+
+  return moveFolder(folders, folderId, { parentId: parent ? parent.id : null, category })
+    .map(f => {
+      if (f.id !== folderId) return f;
+      const { archivedFrom, archivedAt, ...restored } = f;
+      return restored;
+    });
+};
+
+// Déplace un dossier ; ses sous-dossiers suivent sa catégorie
+const moveFolder = (folders, folderId, { parentId, category }) => {
+  const descendantIds = getDescendantFolderIds(folders, folderId);
+  return folders
+    .filter(folder => descendantIds.has(folder.id))
+    .map(folder => ({
+      ...folder,
+      category,
+      parentId: folder.id === folderId ? parentId : folder.parentId
+    }));
+};
+
 const updateNoteContent = curry((note, updates) => ({
   ...note,
   ...updates,
   modified: Date.now()
 }));
 
+// Épingle, favori, modèle : la note change sans passer pour modifiée, `changed` suffit aux onglets
+const updateNoteFlags = curry((note, updates) => ({
+  ...note,
+  ...updates,
+  changed: Date.now()
+}));
+
 const sortNotesByModified = notes =>
   [...notes].sort((a, b) => b.modified - a.modified);
 
 const sortNotesByCreated = notes =>
   [...notes].sort((a, b) => b.created - a.created);
 
+// Ordre enregistré d'abord ; les notes qui n'y figurent pas encore passent devant, les plus récentes en tête
+const sortNotesManually = curry((order, notes) => {
+  const positions = new Map(order.map((id, index) => [id, index]));
+  const [ordered, unordered] = [notes.filter(note => positions.has(note.id)), notes.filter(note => !positions.has(note.id))];
+  return [
+    ...sortNotesByCreated(unordered),
+    ...ordered.sort((a, b) => positions.get(a.id) - positions.get(b.id))
+  ];
+});
+
+// Les notes épinglées passent en tête, l'ordre de chaque groupe est conservé
+const pinNotesFirst = notes => [...notes.filter(note => note.pinned), ...notes.filter(note => !note.pinned)];
+
+// Les notes déplacées sont insérées, dans leur ordre, avant ou après la cible
+const moveIdsInOrder = (orderedIds, movedIds, targetId, after) => {
+  const rest = orderedIds.filter(id => !movedIds.includes(id));
+  const index = rest.indexOf(targetId) + (after ? 1 : 0);
+  return [...rest.slice(0, index), ...movedIds, ...rest.slice(index)];
+};
+
+const getManualOrderKey = folder => folder?.id ?? MANUAL_ORDER_ALL_KEY;
+
 const sortNotesByTitle = notes =>
   [...notes].sort((a, b) => a.title.localeCompare(b.title));
 
+const filterNotesByFolders = curry((folderIds, notes) =>
+  notes.filter(note => folderIds.has(note.folderId))
+);
+
 const filterNotesByFolder = curry((folderId, notes) =>
   folderId ? notes.filter(note => note.folderId === folderId) : notes
 );
 
-const searchNotes = curry((query, notes) => {
-  const lowerQuery = query.toLowerCase();
-  return notes.filter(note =>
-    note.title.toLowerCase().includes(lowerQuery) ||
-    extractTextFromHTML(note.content).toLowerCase().includes(lowerQuery)
-  );
+// Classe les notes par pertinence ; sans terme à classer, l'ordre d'origine est conservé
+const searchNotes = curry((index, query, folders, notes) => {
+  const scores = scoreSearchIndex(index, parseSearchQuery(query), folders);
+  return notes
+    .filter(note => scores.has(note.id))
+    .sort((a, b) => (scores.get(b.id) - scores.get(a.id)) || (b.modified - a.modified));
 });
 
 const exportNoteToTxt = note => {
@@ -412,488 +1516,6414 @@ const exportAllNotesToTxt = notes => {
   return header + notesContent;
 };
 
-// ===== STATE MANAGEMENT =====
+// ===== TRASH (PURE) =====
 
-let appState = {
-  currentNote: null,
-  currentFolder: null,
-  notes: [],
-  folders: [],
-  searchQuery: '',
-  sortBy: 'modified'
+// Les éléments supprimés restent dans leur store avec deletedAt ;
+// trashedWith désigne le dossier supprimé avec lequel ils sont partis
+const isTrashed = record => Boolean(record.deletedAt);
+
+const partitionTrashed = records => ({
+  active: records.filter(record => !isTrashed(record)),
+  trashed: records.filter(isTrashed)
+});
+
+const trashNote = (note, now = Date.now()) => ({ ...note, deletedAt: now, trashedWith: null });
+
+const trashFolder = (folders, notes, folderId, now = Date.now()) => {
+  const subtreeIds = getDescendantFolderIds(folders, folderId);
+  return {
+    folders: folders
+      .filter(folder => subtreeIds.has(folder.id))
+      .map(folder => ({ ...folder, deletedAt: now, trashedWith: folder.id === folderId ? null : folderId })),
+    notes: filterNotesByFolders(subtreeIds, notes)
+      .map(note => ({ ...note, deletedAt: now, trashedWith: folderId }))
+  };
 };
 
-const setState = updates => {
-  appState = { ...appState, ...updates };
-  return appState;
+const clearTrashFields = ({ deletedAt, trashedWith, ...record }) => record;
+
+// Une note dont le dossier n'existe plus revient « sans dossier »
+const restoreNote = (note, activeFolders) => {
+  const restored = clearTrashFields(note);
+  return activeFolders.some(folder => folder.id === restored.folderId)
+    ? restored
+    : { ...restored, folderId: null };
 };
 
-const getState = () => ({ ...appState });
+// Le dossier revient sous son parent s'il existe encore, sinon à la racine de sa catégorie
+const restoreFolder = (trashedFolders, trashedNotes, folderId, activeFolders) => {
+  const root = clearTrashFields(trashedFolders.find(folder => folder.id === folderId));
+  const parent = activeFolders.find(folder => folder.id === root.parentId);
+  const category = parent?.category ?? root.category;
+
+  return {
+    folders: [
+      { ...root, parentId: parent ? parent.id : null, category },
+      ...trashedFolders
+        .filter(folder => folder.trashedWith === folderId)
+        .map(folder => ({ ...clearTrashFields(folder), category }))
+    ],
+    notes: trashedNotes
+      .filter(note => note.trashedWith === folderId)
+      .map(clearTrashFields)
+  };
+};
 
-// ===== UI RENDERING FUNCTIONS =====
+// Ce qu'affiche la corbeille : notes et dossiers supprimés directement
+const getTrashRoots = (trashedFolders, trashedNotes) => [
+  ...trashedFolders.filter(folder => !folder.trashedWith).map(folder => ({ type: 'folder', record: folder })),
+  ...trashedNotes.filter(note => !note.trashedWith).map(note => ({ type: 'note', record: note }))
+].sort((a, b) => b.record.deletedAt - a.record.deletedAt);
+
+const getExpiredTrashRoots = (roots, retentionDays, now = Date.now()) => retentionDays > 0
+  ? roots.filter(root => now - root.record.deletedAt > retentionDays * DAY_MS)
+  : [];
+
+// Ids à supprimer définitivement, dossiers emportant leur contenu
+const planPermanentDeletion = (roots, trashedFolders, trashedNotes) => {
+  const folderRootIds = new Set(roots.filter(root => root.type === 'folder').map(root => root.record.id));
+  return {
+    folderIds: trashedFolders
+      .filter(folder => folderRootIds.has(folder.id) || folderRootIds.has(folder.trashedWith))
+      .map(folder => folder.id),
+    noteIds: [
+      ...roots.filter(root => root.type === 'note').map(root => root.record.id),
+      ...trashedNotes.filter(note => folderRootIds.has(note.trashedWith)).map(note => note.id)
+    ]
+  };
+};
 
-const renderNoteItem = note => {
-  const div = document.createElement('div');
-  div.className = 'note-item';
-  div.dataset.noteId = note.id;
-  if (appState.currentNote?.id === note.id) {
-    div.classList.add('note-item--active');
+// ===== NOTE LINKS =====
+
+// Les liens wiki référencent l'id de la note cible : le texte affiché suit les renommages
+const NOTE_LINK_PATTERN = /data-note-id="([^"]+)"/g;
+const MAX_LINK_SUGGESTIONS = 8;
+const MAX_PALETTE_RESULTS = 50;
+
+const collectNoteLinkIds = html =>
+  Array.from(html.matchAll(NOTE_LINK_PATTERN), match => match[1]);
+
+const findBacklinks = curry((noteId, notes) =>
+  notes.filter(note => note.id !== noteId && collectNoteLinkIds(note.content).includes(noteId))
+);
+
+// Les titres commençant par la saisie passent avant ceux qui la contiennent
+const findLinkSuggestions = curry((query, notes) => {
+  const foldedQuery = foldText(query.trim());
+  return notes
+    .map(note => ({ note, position: foldText(note.title).indexOf(foldedQuery) }))
+    .filter(({ position }) => position !== -1)
+    .sort((a, b) => (a.position === 0 ? 0 : 1) - (b.position === 0 ? 0 : 1) ||
+      a.note.title.localeCompare(b.note.title))
+    .slice(0, MAX_LINK_SUGGESTIONS)
+    .map(({ note }) => note);
+});
+
+const remapNoteLinks = (html, idMap) => idMap.size === 0
+  ? html
+  : html.replace(NOTE_LINK_PATTERN, (match, id) => `data-note-id="${idMap.get(id) ?? id}"`);
+
+const replaceNoteLinkTitles = (html, getTitle) => {
+  if (!html.includes('note-link')) return html;
+  const template = parseHTMLTemplate(html);
+  template.content.querySelectorAll('a.note-link[data-note-id]').forEach(link => {
+    const title = getTitle(link.dataset.noteId);
+    if (title) link.textContent = title;
+  });
+  return template.innerHTML;
+};
+
+// Liens [[Titre]] issus d'un import Markdown : résolus par titre, sinon vers une note à créer
+const resolveNoteLinkTitles = (html, findIdByTitle) => {
+  if (!html.includes('data-note-title')) return html;
+  const template = parseHTMLTemplate(html);
+  template.content.querySelectorAll('a.note-link[data-note-title]').forEach(link => {
+    link.dataset.noteId = findIdByTitle(link.dataset.noteTitle) || generateId();
+    link.removeAttribute('data-note-title');
+  });
+  return template.innerHTML;
+};
+
+const createNoteLinkElement = (noteId, title) => {
+  const link = document.createElement('a');
+  link.className = 'note-link';
+  link.dataset.noteId = noteId;
+  link.contentEditable = 'false';
+  link.textContent = title;
+  return link;
+};
+
+// ===== CODE HIGHLIGHTING (PURE) =====
+
+const CODE_STRING = /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/;
+const CODE_NUMBER = /\b\d+(?:\.\d+)?\b/;
+const CODE_WORD = /[A-Za-z_$][\w$]*/;
+
+// Règles appliquées dans l'ordre ; les mots de la liste keywords sont surlignés en plus
+const CODE_LANGUAGES = {
+  javascript: {
+    label: 'JavaScript',
+    rules: [
+      ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+      ['string', /`(?:\\[\s\S]|[^`\\])*`/],
+      ['string', CODE_STRING],
+      ['number', CODE_NUMBER]
+    ],
+    keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield'
+  },
+  python: {
+    label: 'Python',
+    rules: [
+      ['comment', /#.*/],
+      ['string', /"{3}[\s\S]*?"{3}|'{3}[\s\S]*?'{3}/],
+      ['string', CODE_STRING],
+      ['number', CODE_NUMBER]
+    ],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+  },
+  html: {
+    label: 'HTML',
+    rules: [
+      ['comment', /<!--[\s\S]*?-->/],
+      ['keyword', /<\/?[\w-]+|\/?>/],
+      ['attribute', /[\w-]+(?==)/],
+      ['string', CODE_STRING]
+    ],
+    keywords: ''
+  },
+  css: {
+    label: 'CSS',
+    rules: [
+      ['comment', /\/\*[\s\S]*?\*\//],
+      ['attribute', /[\w-]+(?=\s*:[^:])/],
+      ['string', CODE_STRING],
+      ['number', /#[\da-fA-F]{3,8}\b|\b\d+(?:\.\d+)?(?:px|em|rem|vh|vw|ms|s|%)?/]
+    ],
+    keywords: 'important inherit initial none auto'
+  },
+  json: {
+    label: 'JSON',
+    rules: [
+      ['attribute', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+      ['string', CODE_STRING],
+      ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+    ],
+    keywords: 'true false null'
+  },
+  bash: {
+    label: 'Shell',
+    rules: [
+      ['comment', /#.*/],
+      ['string', CODE_STRING],
+      ['attribute', /\$\{?\w+\}?/],
+      ['number', CODE_NUMBER]
+    ],
+    keywords: 'if then else elif fi for while do done case esac function in return export local echo exit sudo cd'
+  },
+  sql: {
+    label: 'SQL',
+    rules: [
+      ['comment', /--.*/],
+      ['string', CODE_STRING],
+      ['number', CODE_NUMBER]
+    ],
+    keywords: 'select from where insert into values update set delete create table alter drop index join left right inner outer on group by order having limit and or not null as distinct union primary key',
+    ignoreCase: true
   }
+};
 
-  div.innerHTML = `
-    <div class="note-item__title">${note.title}</div>
-    <div class="note-item__preview">${createPreview(note.content)}</div>
-    <div class="note-item__meta">${formatDate(note.modified)}</div>
-  `;
+const CODE_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'javascript',
+  typescript: 'javascript',
+  py: 'python',
+  xml: 'html',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash'
+};
 
-  div.addEventListener('click', () => handleNoteSelect(note.id));
-  return div;
+// Nom de langue reconnu (alias compris), ou null
+const resolveCodeLanguage = name => {
+  const key = (name || '').toLowerCase();
+  const language = CODE_LANGUAGE_ALIASES[key] || key;
+  return Object.keys(CODE_LANGUAGES).includes(language) ? language : null;
 };
 
-const renderNotesList = notes => {
-  const container = document.getElementById('notesListItems');
-  const emptyState = document.getElementById('emptyState');
+// Texte d'un bloc de code : <br> et blocs imbriqués (collage, saisie du navigateur) deviennent des retours à la ligne
+const getCodeText = element => Array.from(element.childNodes).map((node, index) => {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+  if (node.tagName === 'BR') return '\n';
+  const text = getCodeText(node);
+  return ['DIV', 'P', 'LI'].includes(node.tagName) && index > 0 ? `\n${text}` : text;
+}).join('');
+
+// Découpe le code en jetons { type, text } ; type vaut null pour le texte ordinaire
+const highlightCode = (code, languageName) => {
+  const language = CODE_LANGUAGES[resolveCodeLanguage(languageName)];
+  if (!language) return [{ type: null, text: code }];
+
+  const rules = [...language.rules, ['word', CODE_WORD]];
+  const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g');
+  const keywords = new Set(language.keywords.split(' ').filter(Boolean));
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > lastIndex) tokens.push({ type: null, text: code.slice(lastIndex, match.index) });
+    const [type] = rules[match.slice(1).findIndex(group => group !== undefined)];
+    const word = language.ignoreCase ? match[0].toLowerCase() : match[0];
+    tokens.push({ type: type === 'word' ? (keywords.has(word) ? 'keyword' : null) : type, text: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < code.length) tokens.push({ type: null, text: code.slice(lastIndex) });
+  return tokens;
+};
 
-  container.innerHTML = '';
+const renderHighlightedCode = tokens => tokens
+  .map(({ type, text }) => (type
+    ? `<span class="code-token code-token--${type}">${escapeHTML(text)}</span>`
+    : escapeHTML(text)))
+  .join('');
 
-  if (notes.length === 0) {
-    emptyState.classList.remove('hidden');
-    container.classList.add('hidden');
-  } else {
-    emptyState.classList.add('hidden');
-    container.classList.remove('hidden');
-    notes.forEach(note => container.appendChild(renderNoteItem(note)));
+// ===== SHORTCUTS AND COMMAND SEARCH (PURE) =====
+
+const SHORTCUT_KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+// Raccourci normalisé (« Ctrl+Shift+Z ») ; null pour une touche sans Ctrl ni Alt, qui reste de la frappe
+const eventToShortcut = event => {
+  if (['Control', 'Alt', 'AltGraph', 'Shift', 'Meta'].includes(event.key)) return null;
+  const hasModifier = event.ctrlKey || event.metaKey || event.altKey;
+  if (!hasModifier && !/^F\d{1,2}$/.test(event.key)) return null;
+
+  // Chiffres, et lettres avec Alt : touche physique, Maj ou Alt changent le caractère selon le clavier
+  const digit = event.code?.match(/^Digit(\d)$/)?.[1];
+  const letter = event.altKey ? event.code?.match(/^Key([A-Z])$/)?.[1] : null;
+  const key = digit || letter || (event.key.length === 1 ? event.key.toUpperCase() : event.key);
+
+  return [
+    (event.ctrlKey || event.metaKey) && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    key
+  ].filter(Boolean).join('+');
+};
+
+const formatShortcut = shortcut => shortcut
+  .split('+')
+  .map(part => SHORTCUT_KEY_LABELS[part] || part)
+  .join('+');
+
+// Raccourcis effectifs : ceux par défaut, remplacés par les choix enregistrés
+const resolveShortcuts = (commands, overrides) => Object.fromEntries(
+  commands.map(command => [command.id, overrides[command.id] ?? command.shortcuts ?? []])
+);
+
+const findShortcutOwner = (bindings, shortcut, exceptId = null) =>
+  Object.keys(bindings).find(id => id !== exceptId && bindings[id].includes(shortcut)) ?? null;
+
+// Les lettres de la requête doivent apparaître dans l'ordre ; les suites et débuts de mots comptent plus
+const fuzzyScore = (query, text) => {
+  const needle = foldText(query).replace(/\s+/g, '');
+  const haystack = foldText(text);
+  if (!needle) return 0;
+
+  let score = haystack.includes(needle) ? needle.length * 2 : 0;
+  let position = -1;
+  let streak = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position + 1);
+    if (index === -1) return null;
+    streak = index === position + 1 ? streak + 1 : 0;
+    const wordStart = index === 0 || /[\s/:'-]/.test(haystack[index - 1]);
+    score += 1 + streak + (wordStart ? 2 : 0);
+    position = index;
   }
+  return score - haystack.length / 100;
 };
 
-const renderFolderItem = folder => {
-  const div = document.createElement('div');
-  div.className = 'tree-nav__item';
-  div.dataset.folderId = folder.id;
-  if (appState.currentFolder?.id === folder.id) {
-    div.classList.add('tree-nav__item--active');
+const searchCommands = (commands, query, limit) => commands
+  .map(command => ({ command, score: fuzzyScore(query, command.label) }))
+  .filter(({ score }) => score !== null)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit)
+  .map(({ command }) => command);
+
+// ===== TASKS (PURE) =====
+
+// Texte propre de la tâche, sans ses sous-listes
+const getTaskText = item => Array.from(item.childNodes)
+  .filter(node => node.tagName !== 'UL' && node.tagName !== 'OL')
+  .map(node => node.textContent)
+  .join('')
+  .trim();
+
+// Les tâches sont repérées par leur rang dans la note
+const extractTasks = note => {
+  if (!note.content.includes(TASK_LIST_CLASS)) return [];
+  return Array.from(
+    parseHTMLTemplate(note.content).content.querySelectorAll(`ul.${TASK_LIST_CLASS} > li`),
+    (item, index) => ({
+      noteId: note.id,
+      index,
+      text: getTaskText(item),
+      checked: item.dataset.checked === 'true',
+      due: item.dataset.due || null
+    })
+  );
+};
+
+const setTaskChecked = (html, index, checked) => {
+  const template = parseHTMLTemplate(html);
+  const item = template.content.querySelectorAll(`ul.${TASK_LIST_CLASS} > li`)[index];
+  if (!item) return html;
+  item.dataset.checked = String(checked);
+  return template.innerHTML;
+};
+
+// Filtre : 'all', 'category:<catégorie>' ou 'folder:<id>' (sous-dossiers compris)
+const filterNotesForTasks = (notes, folders, filter) => {
+  const [kind, value] = filter.split(/:(.*)/);
+  if (kind === 'category') {
+    const folderIds = new Set(folders.filter(folder => folder.category === value).map(folder => folder.id));
+    return filterNotesByFolders(folderIds, notes);
   }
+  if (kind === 'folder') return filterNotesByFolders(getDescendantFolderIds(folders, value), notes);
+  return notes;
+};
 
-  const icon = PARA_ICONS[folder.category] || '📁';
-  div.innerHTML = `
-    <span class="tree-nav__icon">${icon}</span>
-    <span>${folder.name}</span>
-  `;
+// Tâches ouvertes, les échéances les plus proches d'abord ; les cases d'un modèle n'en sont pas
+const collectOpenTasks = (notes, folders, filter, getTasks = extractTasks) =>
+  filterNotesForTasks(notes.filter(note => !isTemplate(note)), folders, filter)
+    .flatMap(note => getTasks(note))
+    .filter(task => !task.checked && task.text)
+    .sort((a, b) => (a.due || '9999').localeCompare(b.due || '9999'));
 
-  div.addEventListener('click', () => handleFolderSelect(folder.id));
-  return div;
+const isTaskOverdue = (task, today = new Date().toISOString().slice(0, 10)) =>
+  Boolean(task.due) && task.due < today;
+
+// ===== TEMPLATES (PURE) =====
+
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const isTemplate = note => Boolean(note.isTemplate);
+
+const getTemplates = notes => notes
+  .filter(isTemplate)
+  .sort((a, b) => a.title.localeCompare(b.title, 'fr'));
+
+const padNumber = number => String(number).padStart(2, '0');
+
+// Date du jour chez l'utilisateur, pas en UTC : la note du jour change à minuit local
+const toLocalISODate = date =>
+  `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(date.getDate())}`;
+
+// Semaine ISO 8601 : celle qui contient le jeudi, rattachée à l'année de ce jeudi
+const toISOWeek = date => {
+  const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${padNumber(week)}`;
 };
 
-const renderFolders = folders => {
-  PARA_CATEGORIES.forEach(category => {
-    const container = document.getElementById(`${category}Tree`);
-    container.innerHTML = '';
+const getTemplateValues = ({ date, title, folderName }) => ({
+  date: toLocalISODate(date),
+  time: `${padNumber(date.getHours())}:${padNumber(date.getMinutes())}`,
+  week: toISOWeek(date),
+  title,
+  folder: folderName
+});
 
-    const categoryFolders = folders.filter(f => f.category === category);
-    categoryFolders.forEach(folder => {
-      container.appendChild(renderFolderItem(folder));
-    });
-  });
+// Un champ inconnu reste tel quel ; escape protège le HTML du contenu
+const fillTemplate = (text, values, escape = value => value) =>
+  text.replace(TEMPLATE_PLACEHOLDER, (match, name) => (Object.hasOwn(values, name) ? escape(values[name]) : match));
+
+// Le titre est imposé (note de journal) ou tiré de celui du modèle, {{title}} y valant ''
+const createNoteFromTemplate = (template, { folderId = null, folderName = '', title = null, date = new Date() }) => {
+  const values = getTemplateValues({ date, title: '', folderName });
+  const noteTitle = title ?? fillTemplate(template.title, values).trim();
+  const note = createNote(noteTitle, fillTemplate(template.content, { ...values, title: noteTitle }, escapeHTML), folderId);
+  const manualTags = template.manualTags || [];
+  return { ...note, manualTags, tags: computeNoteTags(manualTags, note.content) };
 };
 
-const updateEditor = note => {
-  const titleInput = document.getElementById('noteTitle');
-  const bodyInput = document.getElementById('noteBody');
-  const emptyState = document.getElementById('editorEmptyState');
+const JOURNAL_PERIODS = {
+  daily: { label: 'Note du jour', getTitle: toLocalISODate, templateSetting: 'dailyTemplateId' },
+  weekly: { label: 'Note de la semaine', getTitle: toISOWeek, templateSetting: 'weeklyTemplateId' }
+};
 
-  if (note) {
-    titleInput.value = note.title;
-    bodyInput.innerHTML = note.content;
-    emptyState.classList.add('hidden');
-    titleInput.disabled = false;
-    bodyInput.contentEditable = true;
+const findJournalNote = (notes, folderId, title) =>
+  notes.find(note => note.folderId === folderId && note.title === title && !isTemplate(note)) || null;
+
+// ===== REVISIONS (PURE) =====
+
+const createRevision = note => ({
+  id: generateId(),
+  noteId: note.id,
+  title: note.title,
+  content: note.content,
+  created: Date.now()
+});
+
+const sortRevisions = revisions =>
+  [...revisions].sort((a, b) => b.created - a.created);
+
+const isSameVersion = (a, b) =>
+  Boolean(a && b) && a.title === b.title && a.content === b.content;
+
+// Version de la note pour les onglets : la plus récente de ses écritures, contenu ou simples drapeaux
+const getNoteVersion = note => (note ? Math.max(note.modified, note.changed ?? 0) : undefined);
+
+// Une autre écriture a eu lieu depuis la lecture : la version a changé, la note est partie
+// à la corbeille ou a disparu
+const isConcurrentEdit = (baseVersion, stored) =>
+  baseVersion !== undefined && (getNoteVersion(stored) !== baseVersion || isTrashed(stored));
+
+// Révisions au-delà du plafond, la plus récente étant conservée en premier
+const getExpiredRevisions = (revisions, maxCount) =>
+  sortRevisions(revisions).slice(maxCount);
+
+// ===== TEXT DIFF =====
+
+// Au-delà, la table LCS deviendrait trop lourde : on affiche un remplacement complet
+const MAX_DIFF_CELLS = 4_000_000;
+
+const tokenizeForDiff = text => text.match(/\s+|[^\s]+/g) || [];
+
+const pushDiffPart = (parts, type, text) => {
+  if (!text) return parts;
+  const last = parts[parts.length - 1];
+  if (last?.type === type) {
+    last.text += text;
   } else {
-    titleInput.value = '';
-    bodyInput.innerHTML = '';
-    emptyState.classList.remove('hidden');
-    titleInput.disabled = true;
-    bodyInput.contentEditable = false;
+    parts.push({ type, text });
   }
+  return parts;
 };
 
-const updateCurrentFolderTitle = () => {
-  const titleElement = document.getElementById('currentFolderTitle');
-  if (appState.currentFolder) {
-    titleElement.textContent = appState.currentFolder.name;
+const diffTokens = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const parts = pushDiffPart([], 'equal', before.slice(0, start).join(''));
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    pushDiffPart(parts, 'removed', a.join(''));
+    pushDiffPart(parts, 'added', b.join(''));
   } else {
-    titleElement.textContent = 'Toutes les notes';
+    // lengths[i * width + j] = longueur de la LCS de a[i..] et b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        pushDiffPart(parts, 'equal', a[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        pushDiffPart(parts, 'removed', a[i++]);
+      } else {
+        pushDiffPart(parts, 'added', b[j++]);
+      }
+    }
+    pushDiffPart(parts, 'removed', a.slice(i).join(''));
+    pushDiffPart(parts, 'added', b.slice(j).join(''));
   }
+
+  return pushDiffPart(parts, 'equal', before.slice(endBefore).join(''));
 };
 
-// ===== EVENT HANDLERS =====
+const diffText = (before, after) => diffTokens(tokenizeForDiff(before), tokenizeForDiff(after));
 
-const handleNoteSelect = async noteId => {
-  const note = await getById(STORES.NOTES, noteId);
-  setState({ currentNote: note });
-  updateEditor(note);
-  renderNotesList(getFilteredAndSortedNotes());
+const DIFF_TAGS = { added: 'ins', removed: 'del' };
+
+const renderDiffHTML = parts => parts.map(({ type, text }) => DIFF_TAGS[type]
+  ? `<${DIFF_TAGS[type]} class="history__diff-${type}">${escapeHTML(text)}</${DIFF_TAGS[type]}>`
+  : escapeHTML(text)
+).join('');
+
+// ===== SEARCH INDEX =====
+
+const SEARCH_TITLE_WEIGHT = 5;
+const SEARCH_PREFIX_WEIGHT = 0.6;
+const SEARCH_PHRASE_BONUS = 3;
+
+const SEARCH_FIELD_ALIASES = {
+  folder: 'folder',
+  dossier: 'folder',
+  category: 'category',
+  categorie: 'category',
+  title: 'title',
+  titre: 'title',
+  tag: 'tag'
 };
 
-const handleFolderSelect = async folderId => {
-  const folder = await getById(STORES.FOLDERS, folderId);
-  setState({ currentFolder: folder });
-  updateCurrentFolderTitle();
-  await refreshNotesList();
+const PARA_FRENCH_NAMES = {
+  projects: 'projets',
+  areas: 'domaines',
+  resources: 'ressources',
+  archives: 'archives'
 };
 
-const handleNewNote = async () => {
-  const folderId = appState.currentFolder?.id || null;
-  const note = createNote('Sans titre', '', folderId);
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Insensible à la casse et aux accents : « Éléphant » == « elephant »
+const foldText = text => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const tokenize = text => foldText(text).match(WORD_PATTERN) || [];
+
+// Comme foldText, mais garde la position d'origine de chaque caractère replié
+const foldWithOffsets = text => {
+  let folded = '';
+  const offsets = [];
+  let index = 0;
+
+  for (const char of text) {
+    const foldedChar = foldText(char);
+    for (let i = 0; i < foldedChar.length; i++) offsets.push(index);
+    folded += foldedChar;
+    index += char.length;
+  }
+  offsets.push(text.length);
+
+  return { folded, offsets };
+};
+
+const parseSearchQuery = query => {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [], filters: [] };
+  const pattern = /(-)?(?:(\p{L}+):)?(?:"([^"]*)"?|([^\s"]+))/gu;
+
+  for (const [, minus, field, quoted, bare] of query.matchAll(pattern)) {
+    const value = quoted ?? bare ?? '';
+    const fieldName = field && SEARCH_FIELD_ALIASES[foldText(field)];
+
+    if (fieldName) {
+      const filterValue = fieldName === 'tag' ? normalizeTag(value) : tokenize(value).join(' ');
+      if (filterValue) parsed.filters.push({ field: fieldName, value: filterValue, negate: Boolean(minus) });
+      continue;
+    }
+
+    // #tag est un raccourci pour tag:tag
+    if (!field && bare?.startsWith('#') && normalizeTag(bare)) {
+      parsed.filters.push({ field: 'tag', value: normalizeTag(bare), negate: Boolean(minus) });
+      continue;
+    }
+
+    const text = field ? `${field}:${value}` : value;
+    if (quoted !== undefined) {
+      const phrase = tokenize(text).join(' ');
+      if (phrase) (minus ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+    } else {
+      (minus ? parsed.excludedTerms : parsed.terms).push(...tokenize(text));
+    }
+  }
+
+  return parsed;
+};
+
+const isRankedQuery = parsed => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+const getHighlightTerms = parsed => [
+  ...parsed.terms,
+  ...parsed.phrases.flatMap(phrase => phrase.split(' '))
+];
+
+const createSearchIndex = () => ({
+  documents: new Map(),
+  postings: new Map()
+});
+
+const countTokens = tokens => tokens.reduce(
+  (counts, token) => counts.set(token, (counts.get(token) || 0) + 1),
+  new Map()
+);
+
+const createSearchDocument = note => {
+  const titleTokens = tokenize(note.title);
+  const bodyTokens = tokenize(extractTextFromHTML(note.content));
+  return {
+    id: note.id,
+    modified: note.modified,
+    folderId: note.folderId,
+    tags: note.tags || [],
+    titleCounts: countTokens(titleTokens),
+    bodyCounts: countTokens(bodyTokens),
+    titleText: ` ${titleTokens.join(' ')} `,
+    bodyText: ` ${bodyTokens.join(' ')} `
+  };
+};
+
+const removeFromSearchIndex = (index, noteId) => {
+  const entry = index.documents.get(noteId);
+  if (!entry) return;
+
+  new Set([...entry.titleCounts.keys(), ...entry.bodyCounts.keys()]).forEach(term => {
+    const posting = index.postings.get(term);
+    posting.delete(noteId);
+    if (posting.size === 0) index.postings.delete(term);
+  });
+  index.documents.delete(noteId);
+};
+
+const addToSearchIndex = (index, note) => {
+  const current = index.documents.get(note.id);
+  if (current && current.modified === note.modified && current.folderId === note.folderId) return;
+
+  removeFromSearchIndex(index, note.id);
+  const entry = createSearchDocument(note);
+  index.documents.set(note.id, entry);
+
+  new Set([...entry.titleCounts.keys(), ...entry.bodyCounts.keys()]).forEach(term => {
+    if (!index.postings.has(term)) index.postings.set(term, new Map());
+    index.postings.get(term).set(note.id, {
+      title: entry.titleCounts.get(term) || 0,
+      body: entry.bodyCounts.get(term) || 0
+    });
+  });
+};
+
+// Réindexe uniquement les notes modifiées et oublie celles qui ont disparu
+const syncSearchIndex = (index, notes) => {
+  const noteIds = new Set(notes.map(note => note.id));
+  Array.from(index.documents.keys())
+    .filter(id => !noteIds.has(id))
+    .forEach(id => removeFromSearchIndex(index, id));
+  notes.forEach(note => addToSearchIndex(index, note));
+};
+
+// Un terme correspond aux mots qui commencent par lui, le mot exact pesant davantage
+const matchSearchTerm = (index, term) => {
+  const scores = new Map();
+
+  index.postings.forEach((posting, indexedTerm) => {
+    if (!indexedTerm.startsWith(term)) return;
+    const weight = indexedTerm === term ? 1 : SEARCH_PREFIX_WEIGHT;
+
+    posting.forEach((counts, noteId) => {
+      const score = (counts.title * SEARCH_TITLE_WEIGHT + counts.body) * weight;
+      scores.set(noteId, (scores.get(noteId) || 0) + score);
+    });
+  });
+
+  return scores;
+};
+
+const matchesSearchFilter = (entry, filter, folders) => {
+  const folder = folders.find(f => f.id === entry.folderId);
+
+  switch (filter.field) {
+    case 'folder':
+      return Boolean(folder) && tokenize(folder.name).join(' ').includes(filter.value);
+    case 'category':
+      return Boolean(folder) && (
+        folder.category.startsWith(filter.value) ||
+        PARA_FRENCH_NAMES[folder.category].startsWith(filter.value)
+      );
+    case 'title':
+      return entry.titleText.includes(` ${filter.value}`);
+    case 'tag':
+      return entry.tags.some(tag => tag.startsWith(filter.value));
+    default:
+      return true;
+  }
+};
+
+const countPhrase = (text, phrase) => text.split(` ${phrase} `).length - 1;
+
+// Renvoie noteId -> score pour les documents qui satisfont la requête
+const scoreSearchIndex = (index, parsed, folders) => {
+  let scores = new Map(Array.from(index.documents.keys(), id => [id, 0]));
+
+  parsed.terms.forEach(term => {
+    const termScores = matchSearchTerm(index, term);
+    scores = new Map(Array.from(scores)
+      .filter(([id]) => termScores.has(id))
+      .map(([id, score]) => [id, score + termScores.get(id)]));
+  });
+
+  const excludedIds = new Set(parsed.excludedTerms.flatMap(term =>
+    Array.from(matchSearchTerm(index, term).keys())
+  ));
+
+  return new Map(Array.from(scores).flatMap(([id, score]) => {
+    const entry = index.documents.get(id);
+    if (excludedIds.has(id)) return [];
+
+    if (parsed.excludedPhrases.some(phrase =>
+      countPhrase(entry.titleText, phrase) + countPhrase(entry.bodyText, phrase) > 0
+    )) return [];
+
+    if (!parsed.filters.every(filter =>
+      matchesSearchFilter(entry, filter, folders) !== filter.negate
+    )) return [];
+
+    let phraseScore = 0;
+    for (const phrase of parsed.phrases) {
+      const titleHits = countPhrase(entry.titleText, phrase);
+      const bodyHits = countPhrase(entry.bodyText, phrase);
+      if (titleHits + bodyHits === 0) return [];
+      phraseScore += (titleHits * SEARCH_TITLE_WEIGHT + bodyHits) * SEARCH_PHRASE_BONUS;
+    }
+
+    return [[id, score + phraseScore]];
+  }));
+};
+
+const findMatchRanges = (text, terms) => {
+  const { folded, offsets } = foldWithOffsets(text);
+  const ranges = [];
+
+  terms.forEach(term => {
+    let position = folded.indexOf(term);
+    while (position !== -1) {
+      const isWordStart = position === 0 || !/[\p{L}\p{N}]/u.test(folded[position - 1]);
+      if (isWordStart) ranges.push([offsets[position], offsets[position + term.length]]);
+      position = folded.indexOf(term, position + 1);
+    }
+  });
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+const highlightText = (text, terms) => {
+  const ranges = terms.length > 0 ? findMatchRanges(text, terms) : [];
+  let html = '';
+  let cursor = 0;
+
+  ranges.forEach(([start, end]) => {
+    html += escapeHTML(text.slice(cursor, start));
+    html += `<mark class="note-item__highlight">${escapeHTML(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+
+  return html + escapeHTML(text.slice(cursor));
+};
+
+// Extrait centré sur la première occurrence trouvée
+const createSearchSnippet = (text, terms, maxLength = 100) => {
+  const firstMatch = terms.length > 0 ? findMatchRanges(text, terms)[0] : null;
+  if (!firstMatch) return highlightText(truncateText(text, maxLength), terms);
+
+  const roughStart = Math.max(0, firstMatch[0] - 30);
+  const wordStart = roughStart === 0 ? 0 : text.indexOf(' ', roughStart) + 1 || roughStart;
+  const start = wordStart > firstMatch[0] ? roughStart : wordStart;
+  const excerpt = text.slice(start, start + maxLength);
+
+  return `${start > 0 ? '...' : ''}${highlightText(excerpt, terms)}${start + maxLength < text.length ? '...' : ''}`;
+};
+
+// ===== ATTACHMENTS =====
+
+const createAttachment = (blob, name = '') => ({
+  id: generateId(),
+  blob,
+  type: blob.type,
+  name: name || blob.name || '',
+  size: blob.size,
+  created: Date.now()
+});
+
+const dataUrlToBlob = dataUrl => {
+  const [header, data = ''] = dataUrl.split(',');
+  const type = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+  const binary = /;base64$/i.test(header) ? atob(data) : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
+
+const blobToDataUrl = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const getAttachmentExtension = type => ({
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg'
+}[type] || type.split('/')[1]?.replace(/[^a-z0-9]/gi, '') || 'bin');
+
+const collectAttachmentIds = html =>
+  Array.from(html.matchAll(/data-attachment-id="([^"]+)"/g), match => match[1]);
+
+// Remplace les images en data URL par des références vers le store des pièces jointes
+const extractInlineImages = html => {
+  const template = parseHTMLTemplate(html);
+  const attachments = [];
+
+  template.content.querySelectorAll('img[src^="data:"]').forEach(img => {
+    const attachment = createAttachment(dataUrlToBlob(img.getAttribute('src')));
+    attachments.push(attachment);
+    img.removeAttribute('src');
+    img.dataset.attachmentId = attachment.id;
+  });
+
+  return attachments.length > 0
+    ? { content: template.innerHTML, attachments }
+    : { content: html, attachments };
+};
+
+const replaceAttachmentSources = (html, getSource) => {
+  const template = parseHTMLTemplate(html);
+  template.content.querySelectorAll('img[data-attachment-id]').forEach(img => {
+    const src = getSource(img.dataset.attachmentId);
+    if (src) img.setAttribute('src', src);
+  });
+  return template.innerHTML;
+};
+
+// Les object URLs ne sont valables que pour la session : on ne les persiste jamais,
+// pas plus que l'état d'affichage des liens entre notes
+const serializeEditorContent = bodyElement => {
+  const template = parseHTMLTemplate(bodyElement.innerHTML);
+  template.content.querySelectorAll('img[data-attachment-id]').forEach(img => {
+    img.removeAttribute('src');
+  });
+  template.content.querySelectorAll('a.note-link').forEach(link => {
+    link.classList.remove('note-link--missing');
+    link.removeAttribute('title');
+  });
+  template.content.querySelectorAll('pre').forEach(pre => {
+    pre.textContent = getCodeText(pre);
+  });
+  return template.innerHTML;
+};
+
+// ===== HTML SANITIZER =====
+
+// Liste blanche : les balises produites par la barre d'outils, plus les images et les liens
+const SANITIZER_DROPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED',
+  'SVG', 'MATH', 'HEAD', 'TITLE', 'META', 'LINK', 'BASE', 'FORM', 'INPUT', 'BUTTON', 'SELECT',
+  'TEXTAREA', 'OPTION', 'AUDIO', 'VIDEO', 'CANVAS'
+]);
+
+// Équivalents ramenés aux balises du moteur de mise en forme
+const SANITIZER_RENAMED_TAGS = {
+  B: 'STRONG',
+  I: 'EM',
+  STRIKE: 'S',
+  DEL: 'S',
+  DIV: 'P',
+  H4: 'H3',
+  H5: 'H3',
+  H6: 'H3',
+  KBD: 'CODE',
+  SAMP: 'CODE',
+  TT: 'CODE',
+  TFOOT: 'TBODY'
+};
+
+const SANITIZER_INLINE_TAGS = new Set(['STRONG', 'EM', 'U', 'S', 'CODE', 'BR', 'IMG', 'A']);
+const SANITIZER_BLOCK_TAGS = new Set([
+  'P', 'H1', 'H2', 'H3', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'PRE', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD'
+]);
+
+// Les navigateurs ignorent espaces et caractères de contrôle dans le schéma (« java\tscript: »)
+const getUrlScheme = url =>
+  url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').match(/^([a-z][\w+.-]*):/i)?.[1].toLowerCase() ?? null;
+
+const isSafeLinkUrl = url => [null, 'http', 'https', 'mailto'].includes(getUrlScheme(url));
+
+const isSafeImageSource = src => {
+  const scheme = getUrlScheme(src);
+  return [null, 'http', 'https', 'blob'].includes(scheme) || (scheme === 'data' && /^\s*data:image\//i.test(src));
+};
+
+const keepValue = value => value;
+
+// Attributs autorisés par balise : chaque fonction renvoie la valeur à garder, ou null
+const SANITIZER_ATTRIBUTES = {
+  PRE: {
+    'data-language': value => resolveCodeLanguage(value)
+  },
+  IMG: {
+    src: value => (isSafeImageSource(value) ? value : null),
+    alt: keepValue,
+    'data-attachment-id': keepValue
+  },
+  UL: {
+    class: value => (value.split(/\s+/).includes(TASK_LIST_CLASS) ? TASK_LIST_CLASS : null)
+  },
+  LI: {
+    'data-checked': value => (value === 'true' || value === 'false' ? value : null),
+    'data-due': value => (TASK_DUE_PATTERN.test(value) ? value : null)
+  },
+  A: {
+    href: value => (isSafeLinkUrl(value) ? value : null),
+    class: value => (value.split(/\s+/).includes('note-link') ? 'note-link' : null),
+    'data-note-id': keepValue,
+    'data-note-title': keepValue,
+    contenteditable: value => (value === 'false' ? value : null)
+  }
+};
+
+// Un bloc de code ne garde que son texte ; la langue vient de data-language ou d'une classe language-xxx
+const sanitizeCodeBlock = (source, doc) => {
+  const pre = doc.createElement('pre');
+  const classNames = [source, source.querySelector('code')]
+    .flatMap(element => Array.from(element?.classList || []))
+    .map(className => className.replace(/^(language|lang)-/, ''));
+  const language = [source.getAttribute('data-language'), ...classNames]
+    .map(resolveCodeLanguage)
+    .find(Boolean);
+
+  if (language) pre.setAttribute('data-language', language);
+  pre.textContent = getCodeText(source);
+  return pre;
+};
+
+// Google Docs enveloppe tout le presse-papiers dans un <b style="font-weight:normal">
+const isNeutralBold = element =>
+  element.tagName === 'B' && /font-weight\s*:\s*(normal|400)/i.test(element.getAttribute('style') || '');
+
+const sanitizeChildren = (source, target) => {
+  const doc = target.ownerDocument;
+
+  Array.from(source.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(doc.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const sourceTag = node.tagName.toUpperCase();
+    if (SANITIZER_DROPPED_TAGS.has(sourceTag)) return;
+
+    const tag = SANITIZER_RENAMED_TAGS[sourceTag] || sourceTag;
+    if (tag === 'PRE') {
+      target.appendChild(sanitizeCodeBlock(node, doc));
+      return;
+    }
+    if (isNeutralBold(node) || (!SANITIZER_INLINE_TAGS.has(tag) && !SANITIZER_BLOCK_TAGS.has(tag))) {
+      // Balise inconnue : on garde seulement son contenu
+      sanitizeChildren(node, target);
+      return;
+    }
+
+    const element = doc.createElement(tag.toLowerCase());
+    Object.entries(SANITIZER_ATTRIBUTES[tag] || {}).forEach(([name, sanitizeValue]) => {
+      const value = node.getAttribute(name);
+      const cleanValue = value === null ? null : sanitizeValue(value);
+      if (cleanValue !== null) element.setAttribute(name, cleanValue);
+    });
+    sanitizeChildren(node, element);
+    target.appendChild(element);
+  });
+  return target;
+};
+
+const isBlockNode = node =>
+  node.nodeType === Node.ELEMENT_NODE && SANITIZER_BLOCK_TAGS.has(node.tagName);
+
+const hasVisibleContent = element =>
+  element.textContent.trim() !== '' || element.querySelector('img, br') !== null;
+
+const copyAttributes = (source, target) => {
+  if (source.nodeType !== Node.ELEMENT_NODE) return target;
+  Array.from(source.attributes).forEach(({ name, value }) => target.setAttribute(name, value));
+  return target;
+};
+
+// Contenu d'un <li> : du texte, éventuellement suivi de sous-listes
+const normalizeListItem = item => {
+  const doc = item.ownerDocument;
+  const li = item.tagName === 'LI' ? copyAttributes(item, doc.createElement('li')) : doc.createElement('li');
+  const nestedLists = [];
+
+  Array.from(item.childNodes).forEach(node => {
+    if (node.tagName === 'UL' || node.tagName === 'OL') {
+      nestedLists.push(...normalizeBlock(node));
+    } else if (isBlockNode(node)) {
+      if (li.childNodes.length > 0) li.appendChild(doc.createElement('br'));
+      normalizeListItem(node).childNodes.forEach(child => li.appendChild(child.cloneNode(true)));
+    } else {
+      li.appendChild(node);
+    }
+  });
+  nestedLists.forEach(list => li.appendChild(list));
+  return li;
+};
+
+// Contenu d'une cellule : du texte seulement, les blocs sont séparés par des <br>
+const appendInlineContent = (source, target) => {
+  Array.from(source.childNodes).forEach(node => {
+    if (isBlockNode(node)) {
+      if (target.childNodes.length > 0) target.appendChild(target.ownerDocument.createElement('br'));
+      appendInlineContent(node, target);
+    } else {
+      target.appendChild(node);
+    }
+  });
+  return target;
+};
+
+// Tableau : première ligne en en-tête, toutes les lignes au même nombre de colonnes
+const normalizeTable = block => {
+  const doc = block.ownerDocument;
+  const rows = block.tagName === 'TR'
+    ? [block]
+    : Array.from(block.querySelectorAll('tr'))
+      .filter(row => row.parentNode === block || row.parentNode.parentNode === block);
+  if (rows.length === 0) return normalizeBlockModel(block);
+
+  const cellRows = rows.map(row => Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH'));
+  const columns = Math.max(1, ...cellRows.map(cells => cells.length));
+  const table = doc.createElement('table');
+  const head = table.appendChild(doc.createElement('thead'));
+  const body = doc.createElement('tbody');
+
+  cellRows.forEach((cells, rowIndex) => {
+    const row = (rowIndex === 0 ? head : body).appendChild(doc.createElement('tr'));
+    for (let i = 0; i < columns; i++) {
+      const cell = row.appendChild(doc.createElement(rowIndex === 0 ? 'th' : 'td'));
+      if (cells[i]) appendInlineContent(cells[i], cell);
+    }
+  });
+  if (body.childNodes.length > 0) table.appendChild(body);
+  return [table];
+};
+
+const normalizeBlock = block => {
+  const doc = block.ownerDocument;
+  const tag = block.tagName;
+
+  if (tag === 'PRE') return [block];
+  if (['TABLE', 'THEAD', 'TBODY', 'TR'].includes(tag)) return normalizeTable(block);
+  if (tag === 'TD' || tag === 'TH') return normalizeBlockModel(block);
+
+  if (tag === 'UL' || tag === 'OL') {
+    const list = copyAttributes(block, doc.createElement(tag.toLowerCase()));
+    let looseItem = null;
+    Array.from(block.childNodes).forEach(node => {
+      if (node.tagName === 'LI') {
+        looseItem = null;
+        list.appendChild(normalizeListItem(node));
+      } else if (node.tagName === 'UL' || node.tagName === 'OL') {
+        // Sous-liste posée directement dans la liste : rattachée à l'élément précédent
+        const nested = normalizeBlock(node);
+        if (nested.length === 0) return;
+        const target = list.lastElementChild || list.appendChild(doc.createElement('li'));
+        nested.forEach(child => target.appendChild(child));
+      } else if (node.nodeType === Node.ELEMENT_NODE || node.textContent.trim()) {
+        looseItem = looseItem || list.appendChild(doc.createElement('li'));
+        looseItem.appendChild(node);
+      }
+    });
+    return list.childNodes.length > 0 ? [list] : [];
+  }
+
+  if (tag === 'LI') {
+    const list = doc.createElement('ul');
+    list.appendChild(normalizeListItem(block));
+    return [list];
+  }
+
+  if (tag === 'BLOCKQUOTE') {
+    const quote = doc.createElement('blockquote');
+    const children = normalizeBlockModel(block);
+    // Une citation d'un seul paragraphe garde son texte directement, comme la barre d'outils
+    const content = children.length === 1 && children[0].tagName === 'P'
+      ? Array.from(children[0].childNodes)
+      : children;
+    content.forEach(node => quote.appendChild(node));
+    return hasVisibleContent(quote) ? [quote] : [];
+  }
+
+  // P et titres : s'ils contiennent des blocs, ce sont ces blocs qui remontent
+  if (Array.from(block.childNodes).some(isBlockNode)) return normalizeBlockModel(block);
+  return hasVisibleContent(block) ? [block] : [];
+};
+
+// Blocs au premier niveau ; le texte isolé est regroupé dans des paragraphes
+const normalizeBlockModel = container => {
+  const doc = container.ownerDocument;
+  const blocks = [];
+  let paragraph = null;
+
+  const flushParagraph = () => {
+    if (paragraph && hasVisibleContent(paragraph)) blocks.push(paragraph);
+    paragraph = null;
+  };
+
+  Array.from(container.childNodes).forEach(node => {
+    if (isBlockNode(node)) {
+      flushParagraph();
+      blocks.push(...normalizeBlock(node));
+    } else {
+      paragraph = paragraph || doc.createElement('p');
+      paragraph.appendChild(node);
+    }
+  });
+  flushParagraph();
+
+  return blocks;
+};
+
+const sanitizeToFragment = html => {
+  const template = parseHTMLTemplate(html);
+  const clean = sanitizeChildren(template.content, template.content.ownerDocument.createDocumentFragment());
+  const fragment = template.content.ownerDocument.createDocumentFragment();
+  normalizeBlockModel(clean).forEach(block => fragment.appendChild(block));
+  return fragment;
+};
+
+const sanitizeNoteHTML = html => {
+  const output = document.createElement('template');
+  output.content.appendChild(sanitizeToFragment(html));
+  return output.innerHTML;
+};
+
+// ===== MARKDOWN CONVERSION =====
+
+const MARKDOWN_INLINE_MARKERS = {
+  STRONG: '**',
+  B: '**',
+  EM: '_',
+  I: '_',
+  S: '~~',
+  STRIKE: '~~',
+  DEL: '~~'
+};
+
+const MARKDOWN_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'UL', 'OL', 'PRE', 'TABLE'];
+
+const escapeMarkdown = text => text.replace(/([\\`*_~[\]<])/g, '\\$1');
+
+const escapeMarkdownLineStart = line =>
+  line.replace(/^(\s*)([#>+-]|\d+\.)(?=\s|$)/, '$1\\$2');
+
+// Les espaces en bordure restent hors des marqueurs (**texte** et non ** texte **)
+const wrapWithMarker = (text, marker) => {
+  const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return core ? `${leading}${marker}${core}${marker}${trailing}` : text;
+};
+
+// Parenthèses et espaces couperaient la destination du lien
+const encodeMarkdownUrl = url => url
+  .replace(/\s/g, '%20')
+  .replace(/\(/g, '%28')
+  .replace(/\)/g, '%29');
+
+// Le délimiteur est plus long que toute suite de ` présente dans le code
+const codeSpanToMarkdown = code => {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+};
+
+const inlineNodesToMarkdown = nodes => nodes.map(node => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\n/g, ' ').replace(/\u00a0/g, ' '));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const tag = node.tagName;
+  const content = inlineNodesToMarkdown(Array.from(node.childNodes));
+
+  if (tag === 'BR') return '  \n';
+  if (tag === 'IMG') return `![${escapeMarkdown(node.alt || '')}](${node.getAttribute('src') || ''})`;
+  if (tag === 'U') return `<u>${content}</u>`;
+  if (tag === 'CODE') return node.textContent ? codeSpanToMarkdown(node.textContent.replace(/\n/g, ' ')) : '';
+  if (tag === 'A' && node.classList.contains('note-link')) return `[[${node.textContent.replace(/[[\]]/g, '')}]]`;
+  if (tag === 'A' && node.getAttribute('href')) return `[${content}](${encodeMarkdownUrl(node.getAttribute('href'))})`;
+  if (MARKDOWN_INLINE_MARKERS[tag]) return wrapWithMarker(content, MARKDOWN_INLINE_MARKERS[tag]);
+  return content;
+}).join('');
+
+const isMarkdownBlock = node =>
+  node.nodeType === Node.ELEMENT_NODE && MARKDOWN_BLOCK_TAGS.includes(node.tagName);
+
+const paragraphToMarkdown = nodes => inlineNodesToMarkdown(nodes)
+  .split('\n')
+  .map(line => escapeMarkdownLineStart(line.trim() ? line : ''))
+  .join('\n')
+  .trim();
+
+// Tâches au format GitHub (- [ ] / - [x]), échéance au format des plugins de tâches (📅 AAAA-MM-JJ)
+const taskToMarkdown = (item, text) =>
+  `[${item.dataset.checked === 'true' ? 'x' : ' '}] ${text}${item.dataset.due ? ` 📅 ${item.dataset.due}` : ''}`;
+
+const listToMarkdown = (list, indent = '') => Array.from(list.children)
+  .filter(item => item.tagName === 'LI')
+  .map((item, index) => {
+    const marker = list.tagName === 'OL' ? `${index + 1}.` : '-';
+    const childNodes = Array.from(item.childNodes);
+    const nestedLists = childNodes.filter(node => node.tagName === 'UL' || node.tagName === 'OL');
+    const itemText = inlineNodesToMarkdown(childNodes.filter(node => !nestedLists.includes(node)))
+      .trim()
+      .replace(/ {2}\n/g, '  \n' + indent + ' '.repeat(marker.length + 1));
+    const text = isTaskList(list) ? taskToMarkdown(item, itemText) : itemText;
+    const nested = nestedLists.map(nestedList =>
+      listToMarkdown(nestedList, indent + ' '.repeat(marker.length + 1))
+    );
+    return [`${indent}${marker} ${text}`, ...nested].join('\n');
+  })
+  .join('\n');
+
+const codeBlockToMarkdown = pre => {
+  const code = getCodeText(pre).replace(/\n$/, '');
+  const longestRun = Math.max(2, ...(code.match(/^`{3,}/gm) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${pre.dataset.language || ''}\n${code}\n${fence}`;
+};
+
+const tableToMarkdown = table => {
+  const rows = Array.from(table.querySelectorAll('tr')).map(row => Array.from(row.children).map(cell =>
+    inlineNodesToMarkdown(Array.from(cell.childNodes)).replace(/ {2}\n/g, '<br>').replace(/\|/g, '\\|').trim()
+  ));
+  if (rows.length === 0) return '';
+
+  const toLine = cells => `| ${cells.join(' | ')} |`;
+  return [toLine(rows[0]), toLine(rows[0].map(() => '---')), ...rows.slice(1).map(toLine)].join('\n');
+};
+
+const blockToMarkdown = element => {
+  const tag = element.tagName;
+  const headingMatch = tag.match(/^H([1-6])$/);
+
+  if (headingMatch) {
+    return `${'#'.repeat(Number(headingMatch[1]))} ${inlineNodesToMarkdown(Array.from(element.childNodes)).replace(/ {2}\n/g, ' ').trim()}`;
+  }
+  if (tag === 'BLOCKQUOTE') {
+    return containerToMarkdown(element)
+      .split('\n')
+      .map(line => line ? `> ${line}` : '>')
+      .join('\n');
+  }
+  if (tag === 'UL' || tag === 'OL') return listToMarkdown(element);
+  if (tag === 'PRE') return codeBlockToMarkdown(element);
+  if (tag === 'TABLE') return tableToMarkdown(element);
+  return containerToMarkdown(element);
+};
+
+// Regroupe les nœuds inline consécutifs en paragraphes, les blocs sont convertis un à un
+const containerToMarkdown = container => {
+  const blocks = [];
+  let inlineNodes = [];
+
+  const flushInline = () => {
+    const paragraph = paragraphToMarkdown(inlineNodes);
+    if (paragraph) blocks.push(paragraph);
+    inlineNodes = [];
+  };
+
+  Array.from(container.childNodes).forEach(node => {
+    if (isMarkdownBlock(node)) {
+      flushInline();
+      const block = blockToMarkdown(node);
+      if (block.trim()) blocks.push(block);
+    } else {
+      inlineNodes.push(node);
+    }
+  });
+  flushInline();
+
+  return blocks.join('\n\n');
+};
+
+const htmlToMarkdown = html => containerToMarkdown(parseHTMLTemplate(html).content);
+
+const MARKDOWN_ESCAPABLE = /\\([\\`*_~[\]()#>+\-.!<|{}])/g;
+
+const markdownInlineToHtml = text => {
+  // Le code en ligne est mis de côté en premier : rien n'y est interprété
+  const codeSpans = [];
+  const escapedChars = [];
+  const withPlaceholders = text
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, fence, code) => {
+      codeSpans.push(code.replace(/^ ([\s\S]*) $/, '$1'));
+      return `\u0001${codeSpans.length - 1}\u0001`;
+    })
+    .replace(MARKDOWN_ESCAPABLE, (match, char) => {
+      escapedChars.push(char);
+      return `\u0000${escapedChars.length - 1}\u0000`;
+    });
+
+  // Les balises générées sont aussi mises de côté : l'emphase ne doit pas réécrire leurs attributs
+  const tags = [];
+  const holdTag = tag => {
+    tags.push(tag);
+    return `\u0002${tags.length - 1}\u0002`;
+  };
+
+  return escapeHTML(withPlaceholders)
+    .replace(/&lt;(\/?)u&gt;/g, '<$1u>')
+    .replace(/&lt;br\s*\/?&gt;/g, '<br>')
+    // Les URL peuvent contenir des parenthèses équilibrées : https://fr.wikipedia.org/wiki/Foo_(bar)
+    .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, alt, src) => holdTag(`<img src="${src}" alt="${alt}">`))
+    .replace(/\[\[([^[\]]+)\]\]/g, (match, title) =>
+      holdTag(`<a class="note-link" data-note-title="${title}" contenteditable="false">${title}</a>`))
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, href) => `${holdTag(`<a href="${href}">`)}${label}</a>`)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/ {2,}\n|\\\n/g, '<br>')
+    .replace(/\n/g, ' ')
+    .replace(/\u0002(\d+)\u0002/g, (match, index) => tags[Number(index)])
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => escapeHTML(escapedChars[Number(index)]))
+    .replace(/\u0001(\d+)\u0001/g, (match, index) => `<code>${escapeHTML(codeSpans[Number(index)])}</code>`);
+};
+
+const MARKDOWN_FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)/;
+
+const parseMarkdownCodeBlock = (lines, start) => {
+  const [, fence, languageName] = lines[start].match(MARKDOWN_FENCE);
+  const closing = new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`);
+  const codeLines = [];
+  let index = start + 1;
+
+  while (index < lines.length && !closing.test(lines[index])) {
+    codeLines.push(lines[index]);
+    index++;
+  }
+
+  const language = resolveCodeLanguage(languageName);
+  const attributes = language ? ` data-language="${language}"` : '';
+  return { html: `<pre${attributes}>${escapeHTML(codeLines.join('\n'))}</pre>`, next: index + 1 };
+};
+
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const isMarkdownTableStart = (lines, index) =>
+  lines[index].includes('|') && index + 1 < lines.length && MARKDOWN_TABLE_SEPARATOR.test(lines[index + 1]);
+
+// Les \| échappés restent dans la cellule
+const splitMarkdownTableRow = line => line
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/(?<!\\)\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim());
+
+const parseMarkdownTable = (lines, start) => {
+  const header = splitMarkdownTableRow(lines[start]);
+  const rows = [];
+  let index = start + 2;
+
+  while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+    rows.push(splitMarkdownTableRow(lines[index]));
+    index++;
+  }
+
+  const renderRow = (cells, cellTag) => `<tr>${header.map((cell, column) =>
+    `<${cellTag}>${markdownInlineToHtml(cells[column] || '')}</${cellTag}>`
+  ).join('')}</tr>`;
+  const body = rows.length > 0 ? `<tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody>` : '';
+  return { html: `<table><thead>${renderRow(header, 'th')}</thead>${body}</table>`, next: index };
+};
+
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+const parseMarkdownList = (lines, start) => {
+  const root = { children: [] };
+  const stack = [{ indent: -1, node: root }];
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const match = line.match(MARKDOWN_LIST_ITEM);
+
+    if (!match) {
+      // Ligne de continuation d'un élément de liste
+      const continuation = line.match(/^\s+(\S.*)$/);
+      const lastItem = stack[stack.length - 1].item;
+      if (continuation && lastItem) {
+        lastItem.text += `\n${continuation[1]}`;
+        index++;
+        continue;
+      }
+      break;
+    }
+
+    const [, spaces, marker, rawText] = match;
+    const indent = spaces.length;
+    const task = rawText.match(/^\[([ xX])\]\s+(.*?)(?:\s+📅\s*(\d{4}-\d{2}-\d{2}))?$/u);
+    const text = task ? task[2] : rawText;
+    const type = task ? 'task' : /\d/.test(marker) ? 'ol' : 'ul';
+
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1];
+    const owner = parent.item || parent.node;
+    let list = owner.children[owner.children.length - 1];
+    if (!list || list.type !== type) {
+      list = { type, items: [] };
+      owner.children.push(list);
+    }
+
+    const item = task
+      ? { text, children: [], checked: task[1] !== ' ', due: task[3] || null }
+      : { text, children: [] };
+    list.items.push(item);
+    stack.push({ indent, node: list, item });
+    index++;
+  }
+
+  const renderItemAttributes = item => item.checked === undefined
+    ? ''
+    : ` data-checked="${item.checked}"${item.due ? ` data-due="${item.due}"` : ''}`;
+
+  const renderList = list => {
+    const tag = list.type === 'task' ? 'ul' : list.type;
+    const attributes = list.type === 'task' ? ` class="${TASK_LIST_CLASS}"` : '';
+    return `<${tag}${attributes}>${list.items.map(item =>
+      `<li${renderItemAttributes(item)}>${markdownInlineToHtml(item.text)}${item.children.map(renderList).join('')}</li>`
+    ).join('')}</${tag}>`;
+  };
+
+  return { html: root.children.map(renderList).join(''), next: index };
+};
+
+const markdownToHtml = markdown => {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let index = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${markdownInlineToHtml(paragraph.join('\n'))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+    if (!line.trim()) {
+      flushParagraph();
+      index++;
+    } else if (heading) {
+      flushParagraph();
+      const level = Math.min(heading[1].length, 3);
+      blocks.push(`<h${level}>${markdownInlineToHtml(heading[2])}</h${level}>`);
+      index++;
+    } else if (/^\s*>/.test(line)) {
+      flushParagraph();
+      const quoteLines = [];
+      while (index < lines.length && /^\s*>/.test(lines[index])) {
+        quoteLines.push(lines[index].replace(/^\s*>\s?/, ''));
+        index++;
+      }
+      const inner = markdownToHtml(quoteLines.join('\n'));
+      const singleParagraph = inner.match(/^<p>([\s\S]*)<\/p>$/);
+      blocks.push(`<blockquote>${singleParagraph && !inner.includes('</p><p>') ? singleParagraph[1] : inner}</blockquote>`);
+    } else if (MARKDOWN_FENCE.test(line)) {
+      flushParagraph();
+      const codeBlock = parseMarkdownCodeBlock(lines, index);
+      blocks.push(codeBlock.html);
+      index = codeBlock.next;
+    } else if (isMarkdownTableStart(lines, index)) {
+      flushParagraph();
+      const table = parseMarkdownTable(lines, index);
+      blocks.push(table.html);
+      index = table.next;
+    } else if (MARKDOWN_LIST_ITEM.test(line)) {
+      flushParagraph();
+      const list = parseMarkdownList(lines, index);
+      blocks.push(list.html);
+      index = list.next;
+    } else {
+      paragraph.push(line.trim() === line ? line : line.replace(/^\s+/, ''));
+      index++;
+    }
+  }
+  flushParagraph();
+
+  return blocks.join('');
+};
+
+// ===== MARKDOWN FILES =====
+
+const serializeFrontMatter = fields => [
+  '---',
+  ...Object.entries(fields).map(([key, value]) => `${key}: ${JSON.stringify(value)}`),
+  '---',
+  ''
+].join('\n');
+
+// Sous-ensemble de YAML écrit par les autres outils : scalaires avec ou sans guillemets,
+// listes [a, b] et listes en bloc (« - a » sur les lignes suivantes)
+const parseYamlScalar = raw => {
+  const value = raw.trim();
+  if (/^'[\s\S]*'$/.test(value)) return value.slice(1, -1).replace(/''/g, '\'');
+  if (/^"[\s\S]*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  return value;
+};
+
+const YAML_FLOW_ITEM = /"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g;
+
+const parseYamlValue = raw => {
+  const value = raw.trim();
+  if (!/^\[[\s\S]*\]$/.test(value)) return parseYamlScalar(value);
+  return (value.slice(1, -1).match(YAML_FLOW_ITEM) || [])
+    .map(parseYamlScalar)
+    .filter(item => item !== '');
+};
+
+const parseFrontMatter = text => {
+  const match = text.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { fields: {}, body: text };
+
+  // Une clé sans valeur reçoit les éléments « - » qui la suivent
+  const { fields } = match[1].split(/\r?\n/).reduce(({ fields: parsed, listKey }, line) => {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      const items = Array.isArray(parsed[listKey]) ? parsed[listKey] : [];
+      return { fields: { ...parsed, [listKey]: [...items, parseYamlScalar(item[1])] }, listKey };
+    }
+
+    const field = line.match(/^(\w+):\s*(.*)$/);
+    if (!field) return { fields: parsed, listKey: null };
+    const [, key, rawValue] = field;
+    return rawValue.trim()
+      ? { fields: { ...parsed, [key]: parseYamlValue(rawValue) }, listKey: null }
+      : { fields: { ...parsed, [key]: '' }, listKey: key };
+  }, { fields: {}, listKey: null });
+
+  return { fields, body: text.slice(match[0].length) };
+};
+
+const exportNoteToMarkdown = (note, getAttachmentSource = () => null) => serializeFrontMatter({
+  title: note.title,
+  created: new Date(note.created).toISOString(),
+  modified: new Date(note.modified).toISOString(),
+  ...(note.manualTags?.length ? { tags: note.manualTags } : {})
+}) + '\n' + htmlToMarkdown(replaceAttachmentSources(note.content, getAttachmentSource)) + '\n';
+
+const parseTimestamp = value => {
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? Date.now() : timestamp;
+};
+
+const createNoteFromMarkdown = (text, fileName, folderId = null) => {
+  const { fields, body } = parseFrontMatter(text);
+  const fallbackTitle = fileName.replace(/\.(md|markdown)$/i, '');
+  const note = createNote(fields.title || fallbackTitle, sanitizeNoteHTML(markdownToHtml(body)), folderId);
+  // « tags: a, b » ou « tags: a b » : une seule chaîne, comme l'acceptent certains outils
+  const tagValues = typeof fields.tags === 'string' ? fields.tags.split(/[\s,]+/) : fields.tags;
+  const manualTags = Array.isArray(tagValues) ? uniqueTags(tagValues.map(String)) : [];
+
+  return {
+    ...note,
+    manualTags,
+    tags: computeNoteTags(manualTags, note.content),
+    created: fields.created ? parseTimestamp(fields.created) : note.created,
+    modified: fields.modified ? parseTimestamp(fields.modified) : note.modified
+  };
+};
+
+const PARA_LABELS = {
+  projects: 'Projects',
+  areas: 'Areas',
+  resources: 'Resources',
+  archives: 'Archives'
+};
+
+const sanitizeFileName = name =>
+  name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-').replace(/^\.+/, '').trim().slice(0, 120) || 'Sans titre';
+
+const makeUniquePath = (usedPaths, directory, baseName, extension) => {
+  let candidate = `${directory}${baseName}${extension}`;
+  let counter = 2;
+  while (usedPaths.has(candidate.toLowerCase())) {
+    candidate = `${directory}${baseName} (${counter})${extension}`;
+    counter++;
+  }
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const getNoteDirectory = (note, folders) => {
+  const folder = folders.find(f => f.id === note.folderId);
+  if (!folder) return 'Sans dossier/';
+  const folderPath = getFolderPath(folders, folder).map(f => sanitizeFileName(f.name)).join('/');
+  return `${PARA_LABELS[folder.category]}/${folderPath}/`;
+};
+
+const getAttachmentPath = attachment =>
+  `attachments/${attachment.id}.${getAttachmentExtension(attachment.type)}`;
+
+// Les images sont écrites à part dans attachments/ et référencées en relatif
+const buildMarkdownArchiveEntries = (notes, folders, attachments = []) => {
+  const usedPaths = new Set();
+  const attachmentsById = new Map(attachments.map(attachment => [attachment.id, attachment]));
+  const usedAttachments = new Set();
+
+  const titles = new Map(notes.map(note => [note.id, note.title]));
+
+  const noteEntries = notes.map(note => {
+    const path = makeUniquePath(usedPaths, getNoteDirectory(note, folders), sanitizeFileName(note.title), '.md');
+    const toRoot = '../'.repeat(path.split('/').length - 1);
+    const linkedNote = { ...note, content: replaceNoteLinkTitles(note.content, id => titles.get(id)) };
+    const content = exportNoteToMarkdown(linkedNote, attachmentId => {
+      const attachment = attachmentsById.get(attachmentId);
+      if (!attachment) return null;
+      usedAttachments.add(attachment);
+      return toRoot + getAttachmentPath(attachment);
+    });
+    return { path, data: content };
+  });
+
+  const attachmentEntries = Array.from(usedAttachments, attachment => ({
+    path: getAttachmentPath(attachment),
+    data: attachment.blob
+  }));
+
+  return [...noteEntries, ...attachmentEntries];
+};
+
+// ===== ZIP ARCHIVE (STORED, NO COMPRESSION) =====
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = bytes => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toDosDateTime = date => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const ZIP_UTF8_FLAG = 0x0800;
+
+// files: [{ path, data: Uint8Array }]
+const createZipArchive = files => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.path);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, ZIP_UTF8_FLAG, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(local, name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, ZIP_UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, name);
+
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+};
+
+// ===== BACKUP AND RESTORE (PURE) =====
+
+const createBackup = stores => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  dbVersion: DB_VERSION,
+  exportedAt: new Date().toISOString(),
+  stores
+});
+
+// Identifiants du serveur de synchronisation : propres à l'appareil, jamais écrits dans une sauvegarde ni restaurés
+const SYNC_CREDENTIAL_SETTINGS = ['syncUsername', 'syncPassword'];
+
+const isDeviceSetting = setting => SYNC_CREDENTIAL_SETTINGS.includes(setting.key);
+
+const serializeStoresForBackup = async stores => ({
+  ...stores,
+  [STORES.SETTINGS]: (stores[STORES.SETTINGS] ?? []).filter(setting => !isDeviceSetting(setting)),
+  [STORES.ATTACHMENTS]: await Promise.all(
+    (stores[STORES.ATTACHMENTS] ?? []).map(async ({ blob, ...attachment }) => ({
+      ...attachment,
+      data: await blobToDataUrl(blob)
+    }))
+  )
+});
+
+// Les sauvegardes v1 contiennent encore des images en data URL dans les notes
+const deserializeBackupStores = stores => {
+  const attachments = (stores[STORES.ATTACHMENTS] ?? []).map(({ data, ...attachment }) => ({
+    ...attachment,
+    blob: dataUrlToBlob(data)
+  }));
+
+  const notes = (stores[STORES.NOTES] ?? []).map(note => {
+    const extracted = extractInlineImages(sanitizeNoteHTML(note.content));
+    attachments.push(...extracted.attachments);
+    return normalizeNote({ ...note, content: extracted.content });
+  });
+
+  // Une sauvegarde peut venir de quelqu'un d'autre : le HTML est nettoyé comme un collage
+  const revisions = (stores[STORES.REVISIONS] ?? []).map(revision => ({
+    ...revision,
+    content: sanitizeNoteHTML(revision.content)
+  }));
+
+  return {
+    ...stores,
+    [STORES.NOTES]: notes,
+    [STORES.SETTINGS]: (stores[STORES.SETTINGS] ?? []).filter(setting => !isDeviceSetting(setting)),
+    [STORES.ATTACHMENTS]: attachments,
+    [STORES.REVISIONS]: revisions
+  };
+};
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const recordValidators = {
+  [STORES.NOTES]: note =>
+    typeof note.id === 'string' &&
+    typeof note.title === 'string' &&
+    typeof note.content === 'string' &&
+    typeof note.created === 'number' &&
+    typeof note.modified === 'number' &&
+    (note.tags == null || (Array.isArray(note.tags) && note.tags.every(tag => typeof tag === 'string'))),
+  [STORES.FOLDERS]: folder =>
+    typeof folder.id === 'string' &&
+    typeof folder.name === 'string' &&
+    PARA_CATEGORIES.includes(folder.category) &&
+    (folder.parentId == null || typeof folder.parentId === 'string'),
+  [STORES.SETTINGS]: setting =>
+    typeof setting.key === 'string',
+  [STORES.ATTACHMENTS]: attachment =>
+    typeof attachment.id === 'string' &&
+    typeof attachment.data === 'string' &&
+    attachment.data.startsWith('data:'),
+  [STORES.REVISIONS]: revision =>
+    typeof revision.id === 'string' &&
+    typeof revision.noteId === 'string' &&
+    typeof revision.title === 'string' &&
+    typeof revision.content === 'string' &&
+    typeof revision.created === 'number'
+};
+
+const validateBackup = data => {
+  if (!isPlainObject(data)) return ['Le fichier ne contient pas un objet JSON'];
+  if (data.format !== BACKUP_FORMAT) return ['Format de sauvegarde inconnu'];
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    return [`Version de sauvegarde non supportée : ${data.version}`];
+  }
+  if (!isPlainObject(data.stores)) return ['Section "stores" manquante'];
+
+  return Object.entries(recordValidators).flatMap(([storeName, isValid]) => {
+    const records = data.stores[storeName] ?? [];
+    if (!Array.isArray(records)) return [`"${storeName}" doit être un tableau`];
+
+    return records
+      .map((record, index) => isPlainObject(record) && isValid(record)
+        ? null
+        : `Enregistrement invalide dans "${storeName}" (index ${index})`)
+      .filter(Boolean);
+  });
+};
+
+const createImportStats = () => ({ added: 0, renamed: 0, skipped: 0, replaced: 0 });
+
+const isSameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fusionne les enregistrements importés avec l'existant : les doublons
+// identiques sont ignorés, les collisions d'id reçoivent un nouvel id
+// (sauf pour les enregistrements immuables ou indexés par clé).
+const mergeRecords = (existing, incoming, {
+  keyPath = 'id',
+  renameOnConflict = true,
+  remap = record => record
+} = {}) => {
+  const existingByKey = new Map(existing.map(record => [record[keyPath], record]));
+  const idMap = new Map();
+  const stats = createImportStats();
+
+  const records = incoming.flatMap(rawRecord => {
+    const record = remap(rawRecord);
+    const current = existingByKey.get(record[keyPath]);
+
+    if (!current) {
+      stats.added++;
+      return [record];
+    }
+    if (!renameOnConflict || isSameRecord(current, record)) {
+      stats.skipped++;
+      return [];
+    }
+
+    const newId = generateId();
+    idMap.set(record.id, newId);
+    stats.renamed++;
+    return [{ ...record, id: newId }];
+  });
+
+  return { records, idMap, stats };
+};
+
+const mapValues = (object, fn) =>
+  Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+const planMergeImport = (existingStores, importedStores) => {
+  const mergedFolders = mergeRecords(
+    existingStores[STORES.FOLDERS],
+    importedStores[STORES.FOLDERS] ?? []
+  );
+  // Les sous-dossiers suivent leur parent s'il a changé d'id
+  const folders = {
+    ...mergedFolders,
+    records: mergedFolders.records.map(folder => mergedFolders.idMap.has(folder.parentId)
+      ? { ...folder, parentId: mergedFolders.idMap.get(folder.parentId) }
+      : folder)
+  };
+
+  const mergedNotes = mergeRecords(
+    existingStores[STORES.NOTES],
+    importedStores[STORES.NOTES] ?? [],
+    {
+      remap: note => folders.idMap.has(note.folderId)
+        ? { ...note, folderId: folders.idMap.get(note.folderId) }
+        : note
+    }
+  );
+  // Les liens entre notes importées suivent les notes renommées
+  const notes = {
+    ...mergedNotes,
+    records: mergedNotes.records.map(note => ({
+      ...note,
+      content: remapNoteLinks(note.content, mergedNotes.idMap)
+    }))
+  };
+
+  const settings = mergeRecords(
+    existingStores[STORES.SETTINGS],
+    importedStores[STORES.SETTINGS] ?? [],
+    { keyPath: 'key', renameOnConflict: false }
+  );
+
+  // Les pièces jointes sont immuables : un même id désigne le même contenu
+  const attachments = mergeRecords(
+    existingStores[STORES.ATTACHMENTS],
+    importedStores[STORES.ATTACHMENTS] ?? [],
+    { renameOnConflict: false }
+  );
+
+  const revisions = mergeRecords(
+    existingStores[STORES.REVISIONS],
+    importedStores[STORES.REVISIONS] ?? [],
+    {
+      remap: revision => ({
+        ...revision,
+        noteId: notes.idMap.get(revision.noteId) ?? revision.noteId,
+        content: remapNoteLinks(revision.content, notes.idMap)
+      })
+    }
+  );
+
+  const results = {
+    [STORES.FOLDERS]: folders,
+    [STORES.NOTES]: notes,
+    [STORES.SETTINGS]: settings,
+    [STORES.ATTACHMENTS]: attachments,
+    [STORES.REVISIONS]: revisions
+  };
+
+  return {
+    writes: mapValues(results, result => result.records),
+    report: mapValues(results, result => result.stats)
+  };
+};
+
+const planReplaceImport = (existingStores, importedStores) => {
+  const entries = Object.values(STORES).map(storeName => {
+    const imported = importedStores[storeName] ?? [];
+    // Les identifiants de synchronisation de l'appareil survivent au remplacement
+    const kept = storeName === STORES.SETTINGS ? existingStores[storeName].filter(isDeviceSetting) : [];
+    const stats = createImportStats();
+    stats.added = imported.length;
+    stats.replaced = existingStores[storeName].length - kept.length;
+    return [storeName, [...imported, ...kept], stats];
+  });
+
+  return {
+    writes: Object.fromEntries(entries.map(([storeName, records]) => [storeName, records])),
+    report: Object.fromEntries(entries.map(([storeName, , stats]) => [storeName, stats]))
+  };
+};
+
+const formatImportReport = (report, mode) => {
+  const labels = {
+    [STORES.NOTES]: 'Notes',
+    [STORES.FOLDERS]: 'Dossiers',
+    [STORES.SETTINGS]: 'Paramètres',
+    [STORES.ATTACHMENTS]: 'Pièces jointes',
+    [STORES.REVISIONS]: 'Versions'
+  };
+
+  const lines = Object.entries(report).map(([storeName, stats]) => {
+    const details = [`${stats.added} importé(s)`];
+    if (stats.renamed) details.push(`${stats.renamed} renommé(s) suite à un conflit d'id`);
+    if (stats.skipped) details.push(`${stats.skipped} ignoré(s) (déjà présents)`);
+    if (stats.replaced) details.push(`${stats.replaced} remplacé(s)`);
+    return `${labels[storeName] || storeName} : ${details.join(', ')}`;
+  });
+
+  const title = mode === 'replace' ? 'Restauration terminée (remplacement)' : 'Restauration terminée (fusion)';
+  return [title, '', ...lines].join('\n');
+};
+
+// ===== SYNC (PURE) =====
+
+const SYNCED_STORES = [STORES.FOLDERS, STORES.NOTES, STORES.ATTACHMENTS];
+
+// Champs recalculés ou horodatages : jamais en conflit
+const SYNC_DERIVED_FIELDS = ['modified', 'changed', 'tags'];
+
+// Marqueur de version propre à cet appareil (voir getNoteVersion) : jamais envoyé ni comparé
+const SYNC_LOCAL_FIELDS = ['changed'];
+
+const omitLocalFields = record =>
+  Object.fromEntries(Object.entries(record).filter(([field]) => !SYNC_LOCAL_FIELDS.includes(field)));
+
+const SYNC_CURSOR_KEY = '#cursor';
+
+const getSyncKey = (storeName, id) => `${storeName}/${id}`;
+
+// Ce qui est comparé d'une synchronisation à l'autre ; le contenu d'une pièce jointe ne change jamais
+const toSyncSnapshot = (storeName, record) => {
+  if (!record) return record;
+  if (storeName === STORES.NOTES) return omitLocalFields(record);
+  if (storeName !== STORES.ATTACHMENTS) return record;
+  const { blob, data, ...metadata } = record;
+  return metadata;
+};
+
+// Version attendue au moment d'écrire le résultat d'une synchronisation ; une pièce jointe ne change jamais
+const getSyncedVersion = (storeName, record) => {
+  if (!record) return null;
+  if (storeName === STORES.NOTES) return getNoteVersion(record);
+  return storeName === STORES.FOLDERS ? JSON.stringify(record) : record.id;
+};
+
+const finalizeSyncedRecord = (storeName, record) => storeName === STORES.NOTES
+  ? { ...record, tags: computeNoteTags(record.manualTags || [], record.content) }
+  : record;
+
+// Fusion à trois voies champ par champ : un champ modifié d'un seul côté est repris,
+// modifié différemment des deux côtés il est en conflit
+const mergeSyncedRecords = (storeName, base, local, remote) => {
+  const fields = [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+    .filter(field => !SYNC_DERIVED_FIELDS.includes(field));
+  const conflicts = fields.filter(field =>
+    !isSameRecord(local[field], remote[field]) &&
+    !isSameRecord(local[field], base?.[field]) &&
+    !isSameRecord(remote[field], base?.[field]));
+
+  const merged = Object.fromEntries(fields
+    .map(field => [field, isSameRecord(local[field], base?.[field]) ? remote[field] : local[field]])
+    .filter(([, value]) => value !== undefined));
+  if (local.modified !== undefined || remote.modified !== undefined) {
+    merged.modified = Math.max(local.modified ?? 0, remote.modified ?? 0);
+  }
+
+  return { merged: finalizeSyncedRecord(storeName, merged), conflicts };
+};
+
+// Modifié localement depuis la dernière synchronisation, suppression comprise
+const isLocallyChanged = (record, entry, storeName) => record
+  ? !entry || entry.deleted || !isSameRecord(toSyncSnapshot(storeName, record), entry.base)
+  : Boolean(entry && !entry.deleted);
+
+const createSyncEntry = (storeName, id, rev, record) => ({
+  key: getSyncKey(storeName, id),
+  storeName,
+  id,
+  rev,
+  deleted: !record,
+  base: toSyncSnapshot(storeName, record) ?? null
+});
+
+// Confronte les changements du serveur à l'état local : écritures locales, envois et conflits.
+// entries : clé -> dernier état synchronisé (révision serveur et instantané de base)
+const planSync = (localStores, entries, remoteChanges) => {
+  const localRecords = new Map(SYNCED_STORES.flatMap(storeName =>
+    localStores[storeName].map(record => [getSyncKey(storeName, record.id), { storeName, id: record.id, record }])
+  ));
+  const nextEntries = new Map(entries);
+  const writes = [];
+  const conflicts = [];
+
+  remoteChanges.forEach(change => {
+    const key = getSyncKey(change.store, change.id);
+    const entry = entries.get(key);
+    // Déjà connue : c'est notre propre envoi qui revient
+    if (entry && change.rev <= entry.rev) return;
+
+    const local = localRecords.get(key)?.record ?? null;
+    const remote = change.deleted ? null : change.record;
+    const remoteEntry = createSyncEntry(change.store, change.id, change.rev, remote);
+
+    if (!isLocallyChanged(local, entry, change.store)) {
+      writes.push({ storeName: change.store, id: change.id, record: remote });
+      nextEntries.set(key, remoteEntry);
+      return;
+    }
+
+    // Supprimé des deux côtés, ou pièce jointe identique par construction
+    if ((!local && !remote) || (local && remote && change.store === STORES.ATTACHMENTS)) {
+      nextEntries.set(key, remoteEntry);
+      return;
+    }
+
+    const conflict = { storeName: change.store, id: change.id, rev: change.rev, base: entry?.base ?? null, local, remote };
+    if (!local || !remote) {
+      conflicts.push({ ...conflict, merged: null, fields: [] });
+      return;
+    }
+
+    const { merged, conflicts: fields } = mergeSyncedRecords(change.store, entry?.base ?? null, local, remote);
+    if (fields.length > 0) {
+      conflicts.push({ ...conflict, merged, fields });
+      return;
+    }
+    writes.push({ storeName: change.store, id: change.id, record: merged });
+    nextEntries.set(key, remoteEntry);
+  });
+
+  // Ce qui reste modifié localement, fusions automatiques comprises, part au serveur
+  const conflictKeys = new Set(conflicts.map(conflict => getSyncKey(conflict.storeName, conflict.id)));
+  const finalRecords = new Map(localRecords);
+  writes.forEach(({ storeName, id, record }) => {
+    const key = getSyncKey(storeName, id);
+    if (record) finalRecords.set(key, { storeName, id, record });
+    else finalRecords.delete(key);
+  });
+
+  const push = [...new Set([...finalRecords.keys(), ...nextEntries.keys()])]
+    .filter(key => !conflictKeys.has(key))
+    .map(key => ({ key, local: finalRecords.get(key), entry: nextEntries.get(key) }))
+    .filter(({ local, entry }) => isLocallyChanged(local?.record ?? null, entry, local?.storeName ?? entry.storeName))
+    .map(({ local, entry }) => ({
+      store: local?.storeName ?? entry.storeName,
+      id: local?.id ?? entry.id,
+      baseRev: entry?.rev ?? 0,
+      deleted: !local,
+      record: local?.record ?? null
+    }));
+
+  return { writes, push, conflicts, entries: nextEntries };
+};
+
+// ===== STATE MANAGEMENT =====
+
+let appState = {
+  currentNote: null,
+  currentFolder: null,
+  notes: [],
+  folders: [],
+  trashedNotes: [],
+  trashedFolders: [],
+  listView: 'notes',
+  shortcutOverrides: {},
+  paletteResults: [],
+  activePaletteItem: 0,
+  capturingShortcutFor: null,
+  taskFilter: 'all',
+  trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+  preferences: {
+    defaultCategory: null,
+    editorFontSize: DEFAULT_EDITOR_FONT_SIZE,
+    dateFormat: 'relative',
+    theme: 'system',
+    highContrast: false,
+    accentColor: DEFAULT_ACCENT_COLOR
+  },
+  collapsedCategories: [],
+  syncConfig: { adapter: 'none', url: '', username: '', password: '' },
+  syncStatus: { state: 'idle', at: null, message: '' },
+  vaultAutoLockMinutes: DEFAULT_VAULT_AUTO_LOCK_MINUTES,
+  journal: { journalFolderId: null, dailyTemplateId: null, weeklyTemplateId: null },
+  manualOrders: {},
+  searchQuery: '',
+  sortBy: 'modified',
+  selectedTags: [],
+  linkSuggestions: [],
+  activeLinkSuggestion: 0,
+  historyRevisions: [],
+  historySelectedId: null,
+  historyCompareId: null,
+  tagMatchMode: 'or',
+  selectedNoteIds: [],
+  selectionAnchorId: null
+};
+
+const searchIndex = createSearchIndex();
+
+// Mémoïse l'analyse de la requête, relue à chaque rendu d'élément
+let parsedSearchCache = { query: null, parsed: null };
+
+const getParsedSearchQuery = () => {
+  if (parsedSearchCache.query !== appState.searchQuery) {
+    parsedSearchCache = {
+      query: appState.searchQuery,
+      parsed: parseSearchQuery(appState.searchQuery)
+    };
+  }
+  return parsedSearchCache.parsed;
+};
+
+const setState = updates => {
+  appState = { ...appState, ...updates };
+  scheduleUIStateSave();
+  return appState;
+};
+
+const getState = () => ({ ...appState });
+
+const replaceNoteInState = note => setState({
+  notes: appState.notes.map(n => (n.id === note.id ? note : n)),
+  currentNote: appState.currentNote?.id === note.id ? note : appState.currentNote
+});
+
+// ===== UI STATE PERSISTENCE =====
+
+// Retrouvés au prochain lancement, seules les valeurs modifiées sont réécrites
+const UI_STATE_SETTINGS = {
+  sortBy: state => state.sortBy,
+  currentFolderId: state => state.currentFolder?.id ?? null,
+  currentNoteId: state => state.currentNote?.id ?? null,
+  searchQuery: state => state.searchQuery,
+  collapsedCategories: state => state.collapsedCategories
+};
+
+let savedUIState = {};
+
+const saveUIState = async () => {
+  scheduleUIStateSave.cancel();
+  const changes = Object.entries(UI_STATE_SETTINGS)
+    .map(([key, select]) => [key, select(appState)])
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(savedUIState[key]));
+  if (changes.length === 0) return;
+
+  // Une valeur ne compte comme enregistrée qu'une fois écrite : un échec sera retenté au prochain changement
+  try {
+    await Promise.all(changes.map(async ([key, value]) => {
+      await saveSetting(key, value);
+      savedUIState = { ...savedUIState, [key]: value };
+    }));
+  } catch (error) {
+    console.error('❌ Error saving interface state:', error);
+  }
+};
+
+const scheduleUIStateSave = debounce(saveUIState, UI_STATE_SAVE_DELAY_MS);
+
+// ===== AUTOSAVE =====
+
+const SAVE_STATUS_LABELS = {
+  idle: '',
+  pending: 'Modifications non enregistrées',
+  saving: 'Enregistrement…',
+  saved: '✓ Enregistré',
+  error: '⚠ Erreur d\'enregistrement'
+};
+
+// noteId -> dernière version à écrire ; plusieurs frappes ne donnent qu'une écriture
+const pendingNoteSaves = new Map();
+// noteId -> version (getNoteVersion) de la note enregistrée sur laquelle portent ces modifications
+const pendingSaveBases = new Map();
+let activeSave = Promise.resolve();
+
+const setSaveStatus = status => {
+  const element = document.getElementById('saveStatus');
+  element.textContent = SAVE_STATUS_LABELS[status];
+  element.className = `editor__save-status editor__save-status--${status}`;
+};
+
+const flushPendingSaves = () => {
+  scheduleFlush.cancel();
+
+  activeSave = activeSave.then(async () => {
+    if (pendingNoteSaves.size === 0) return;
+
+    const notes = Array.from(pendingNoteSaves.values());
+    const bases = new Map(pendingSaveBases);
+    pendingNoteSaves.clear();
+    pendingSaveBases.clear();
+    setSaveStatus('saving');
+
+    const rejected = [];
+    try {
+      // Écriture refusée si un autre onglet a enregistré la note depuis sa lecture ;
+      // le chiffrement a lieu avant, la comparaison ne porte que sur des champs en clair
+      const sealedNotes = await Promise.all(notes.map(note => sealRecord(STORES.NOTES, note)));
+      await performRawBulkWrite([STORES.NOTES], getStore => {
+        const store = getStore(STORES.NOTES);
+        notes.forEach((note, index) => {
+          const request = store.get(note.id);
+          request.onsuccess = () => {
+            if (isConcurrentEdit(bases.get(note.id), request.result)) {
+              rejected.push({ local: note, stored: request.result ?? null });
+            } else {
+              store.put(sealedNotes[index]);
+            }
+          };
+        });
+      });
+      const conflicts = await Promise.all(rejected.map(async ({ local, stored }) => ({
+        local,
+        stored: stored ? normalizeNote(await openRecord(stored)) : null
+      })));
+      notes
+        .filter(note => !conflicts.some(conflict => conflict.local.id === note.id))
+        .forEach(note => addToSearchIndex(searchIndex, note));
+      setSaveStatus(pendingNoteSaves.size > 0 ? 'pending' : 'saved');
+      if (conflicts.length > 0) reportNoteConflicts(conflicts);
+    } catch (error) {
+      console.error('❌ Error saving notes:', error);
+      // Remettre en file ce qui n'a pas été remplacé entre-temps
+      notes.forEach(note => {
+        if (pendingNoteSaves.has(note.id)) return;
+        pendingNoteSaves.set(note.id, note);
+        if (bases.has(note.id)) pendingSaveBases.set(note.id, bases.get(note.id));
+      });
+      setSaveStatus('error');
+    }
+  });
+
+  return activeSave;
+};
+
+const scheduleFlush = debounce(flushPendingSaves, AUTOSAVE_DELAY_MS);
+
+const scheduleNoteSave = (note, baseVersion) => {
+  pendingNoteSaves.set(note.id, note);
+  if (!pendingSaveBases.has(note.id) && baseVersion !== undefined) {
+    pendingSaveBases.set(note.id, baseVersion);
+  }
+  setSaveStatus('pending');
+  scheduleFlush();
+};
+
+const discardPendingSave = noteId => {
+  pendingNoteSaves.delete(noteId);
+  pendingSaveBases.delete(noteId);
+};
+
+// ===== REVISIONS =====
+
+// noteId -> date de la dernière version enregistrée pendant cette session
+const lastRevisionTimes = new Map();
+
+const getNoteRevisions = async noteId =>
+  sortRevisions(await getByIndex(STORES.REVISIONS, 'noteId', noteId));
+
+const saveRevision = async note => {
+  const revisions = await getNoteRevisions(note.id);
+  if (isSameVersion(revisions[0], note)) return null;
+
+  const revision = createRevision(note);
+  const expired = getExpiredRevisions([revision, ...revisions], MAX_REVISIONS_PER_NOTE);
+  await performBulkWrite([STORES.REVISIONS], getStore => {
+    getStore(STORES.REVISIONS).add(revision);
+    expired.forEach(old => getStore(STORES.REVISIONS).delete(old.id));
+  });
+  lastRevisionTimes.set(note.id, revision.created);
+  return revision;
+};
+
+// Appelée avant d'écraser une note : on garde l'état précédent, au plus une fois par intervalle
+const captureRevision = previousNote => {
+  const lastTime = lastRevisionTimes.get(previousNote.id) ?? 0;
+  if (Date.now() - lastTime < REVISION_INTERVAL_MS) return;
+
+  lastRevisionTimes.set(previousNote.id, Date.now());
+  saveRevision(previousNote).catch(error => {
+    console.error('❌ Error saving revision:', error);
+  });
+};
+
+// Supprime l'historique des notes qui n'existent plus
+const pruneOrphanRevisions = async () => {
+  const noteIds = new Set(await getAllKeys(STORES.NOTES));
+  const orphans = (await getAll(STORES.REVISIONS)).filter(revision => !noteIds.has(revision.noteId));
+
+  if (orphans.length > 0) {
+    await performBulkWrite([STORES.REVISIONS], getStore => {
+      orphans.forEach(revision => getStore(STORES.REVISIONS).delete(revision.id));
+    });
+  }
+  return orphans.length;
+};
+
+// ===== UI RENDERING FUNCTIONS =====
+
+const renderNoteItem = note => {
+  const div = document.createElement('div');
+  div.className = 'note-item';
+  div.dataset.noteId = note.id;
+  div.draggable = true;
+  if (appState.currentNote?.id === note.id) {
+    div.classList.add('note-item--active');
+  }
+  if (appState.selectedNoteIds.includes(note.id)) {
+    div.classList.add('note-item--selected');
+  }
+
+  const highlightTerms = appState.searchQuery ? getHighlightTerms(getParsedSearchQuery()) : [];
+  div.innerHTML = `
+    <div class="note-item__title">${highlightText(note.title, highlightTerms)}</div>
+    <div class="note-item__preview">${createSearchSnippet(extractTextFromHTML(note.content), highlightTerms)}</div>
+    <div class="note-item__meta">
+      ${note.pinned ? '<span class="note-item__badge" title="Épinglée">📌</span>' : ''}
+      ${note.favorite ? '<span class="note-item__badge" title="Favori">⭐</span>' : ''}
+      ${isTemplate(note) ? '<span class="note-item__badge">📄 Modèle</span>' : ''}
+      ${formatDate(note.modified, appState.preferences.dateFormat)}
+      ${(note.tags || []).map(tag => `<span class="note-item__tag">#${escapeHTML(tag)}</span>`).join('')}
+    </div>
+  `;
+
+  div.addEventListener('click', event => handleNoteClick(event, note.id));
+  div.addEventListener('dragstart', event => {
+    // Glisser une note sélectionnée emporte toute la sélection
+    const noteIds = appState.selectedNoteIds.includes(note.id) ? appState.selectedNoteIds : [note.id];
+    event.dataTransfer.setData(NOTE_DRAG_TYPE, JSON.stringify(noteIds));
+    event.dataTransfer.effectAllowed = 'move';
+  });
+  if (isManualOrderActive()) addNoteDropTarget(div, note.id);
+  return div;
+};
+
+const renderNotesList = notes => {
+  const container = document.getElementById('notesListItems');
+  const emptyState = document.getElementById('emptyState');
+
+  container.innerHTML = '';
+
+  if (notes.length === 0) {
+    emptyState.classList.remove('hidden');
+    container.classList.add('hidden');
+  } else {
+    emptyState.classList.add('hidden');
+    container.classList.remove('hidden');
+    notes.forEach(note => container.appendChild(renderNoteItem(note)));
+  }
+};
+
+const renderFolderItem = folder => {
+  const div = document.createElement('div');
+  div.className = 'tree-nav__item';
+  div.dataset.folderId = folder.id;
+  div.draggable = true;
+  if (appState.currentFolder?.id === folder.id) {
+    div.classList.add('tree-nav__item--active');
+  }
+
+  const icon = folder.parentId ? '📁' : PARA_ICONS[folder.category] || '📁';
+  div.innerHTML = `
+    <span class="tree-nav__icon">${icon}</span>
+    <span class="tree-nav__name">${escapeHTML(folder.name)}</span>
+    <span class="tree-nav__item-actions">
+      ${folder.archivedFrom
+        ? '<button class="tree-nav__item-btn" data-folder-action="unarchive" title="Restaurer à son emplacement d\'origine">♻️</button>'
+        : folder.category !== 'archives' && !folder.parentId
+          ? '<button class="tree-nav__item-btn" data-folder-action="archive" title="Archiver le dossier et ses notes">🗄️</button>'
+          : ''}
+      <button class="tree-nav__item-btn" data-folder-action="edit" title="Renommer / déplacer">✏️</button>
+      <button class="tree-nav__item-btn" data-folder-action="delete" title="Supprimer le dossier">🗑️</button>
+    </span>
+  `;
+
+  div.addEventListener('click', event => {
+    const actionButton = event.target.closest('[data-folder-action]');
+    if (!actionButton) {
+      handleFolderSelect(folder.id);
+      return;
+    }
+    event.stopPropagation();
+    const folderActions = {
+      edit: handleEditFolder,
+      delete: handleDeleteFolder,
+      archive: handleArchiveFolder,
+      unarchive: handleUnarchiveFolder
+    };
+    folderActions[actionButton.dataset.folderAction]?.(folder.id);
+  });
+
+  div.addEventListener('dragstart', event => {
+    event.stopPropagation();
+    event.dataTransfer.setData(FOLDER_DRAG_TYPE, folder.id);
+    event.dataTransfer.effectAllowed = 'move';
+  });
+  addTreeDropTarget(div, { folderId: folder.id, category: folder.category });
+
+  return div;
+};
+
+const renderFolderNode = (folders, folder) => {
+  const node = document.createElement('div');
+  node.className = 'tree-nav__node';
+  node.appendChild(renderFolderItem(folder));
+
+  const children = getChildFolders(folders, folder.id, folder.category);
+  if (children.length > 0) {
+    const childrenContainer = document.createElement('div');
+    childrenContainer.className = 'tree-nav__children tree-nav__children--nested';
+    children.forEach(child => childrenContainer.appendChild(renderFolderNode(folders, child)));
+    node.appendChild(childrenContainer);
+  }
+
+  return node;
+};
+
+const renderFolders = folders => {
+  PARA_CATEGORIES.forEach(category => {
+    const container = document.getElementById(`${category}Tree`);
+    container.innerHTML = '';
+
+    getChildFolders(folders, null, category).forEach(folder => {
+      container.appendChild(renderFolderNode(folders, folder));
+    });
+  });
+};
+
+// Met à jour un seul élément de la liste au lieu de tout reconstruire
+const updateNoteListItem = note => {
+  const container = document.getElementById('notesListItems');
+  const existing = container.querySelector(`[data-note-id="${CSS.escape(note.id)}"]`);
+  const visibleNotes = getFilteredAndSortedNotes();
+  const index = visibleNotes.findIndex(n => n.id === note.id);
+
+  if (!existing && visibleNotes.length <= 1) {
+    renderNotesList(visibleNotes);
+    return;
+  }
+
+  if (existing) existing.remove();
+  if (index === -1) {
+    if (visibleNotes.length === 0) renderNotesList(visibleNotes);
+    return;
+  }
+
+  container.insertBefore(renderNoteItem(note), container.children[index] || null);
+};
+
+const updateEditor = note => {
+  const titleInput = document.getElementById('noteTitle');
+  const bodyInput = document.getElementById('noteBody');
+  const emptyState = document.getElementById('editorEmptyState');
+
+  if (note) {
+    titleInput.value = note.title;
+    bodyInput.innerHTML = sanitizeNoteHTML(note.content);
+    resolveAttachmentImages(bodyInput);
+    resolveNoteLinks(bodyInput);
+    highlightCodeBlocks(bodyInput);
+    renderNoteTags(note);
+    renderBacklinks(note);
+    renderNoteFlags(note);
+    emptyState.classList.add('hidden');
+    titleInput.disabled = false;
+    bodyInput.contentEditable = true;
+  } else {
+    titleInput.value = '';
+    bodyInput.innerHTML = '';
+    renderNoteTags(null);
+    renderBacklinks(null);
+    renderNoteFlags(null);
+    emptyState.classList.remove('hidden');
+    titleInput.disabled = true;
+    bodyInput.contentEditable = false;
+  }
+  hideLinkSuggestions();
+  showEditorContextTools(null, null);
+  updateUndoButtons();
+  updateMoveNoteSelect();
+};
+
+const renderNoteTags = note => {
+  const container = document.getElementById('noteTagChips');
+  const input = document.getElementById('noteTagInput');
+  container.innerHTML = '';
+  input.disabled = !note;
+  if (!note) return;
+
+  note.tags.forEach(tag => {
+    const isManual = note.manualTags.includes(tag);
+    const chip = document.createElement('span');
+    chip.className = `tag-chip${isManual ? '' : ' tag-chip--inline'}`;
+    chip.title = isManual ? '' : 'Tag détecté dans le texte';
+    chip.textContent = `#${tag}`;
+
+    if (isManual) {
+      const removeButton = document.createElement('button');
+      removeButton.className = 'tag-chip__remove';
+      removeButton.textContent = '×';
+      removeButton.title = 'Retirer le tag';
+      removeButton.addEventListener('click', () => handleRemoveTag(tag));
+      chip.appendChild(removeButton);
+    }
+    container.appendChild(chip);
+  });
+};
+
+const renderBacklinks = note => {
+  const container = document.getElementById('backlinks');
+  const list = document.getElementById('backlinksList');
+  const backlinks = note ? findBacklinks(note.id, appState.notes) : [];
+
+  list.innerHTML = '';
+  container.classList.toggle('hidden', backlinks.length === 0);
+
+  sortNotesByModified(backlinks).forEach(source => {
+    const item = document.createElement('li');
+    item.className = 'backlinks__item';
+    item.textContent = source.title;
+    item.addEventListener('click', () => handleNoteSelect(source.id));
+    list.appendChild(item);
+  });
+};
+
+const renderLinkSuggestions = (suggestions, activeIndex) => {
+  const container = document.getElementById('linkSuggestions');
+  container.innerHTML = '';
+
+  suggestions.forEach((suggestion, index) => {
+    const item = document.createElement('div');
+    item.className = 'link-suggestions__item';
+    item.setAttribute('role', 'option');
+    if (suggestion.create) item.classList.add('link-suggestions__item--create');
+    if (index === activeIndex) item.classList.add('link-suggestions__item--active');
+    item.textContent = suggestion.create ? `➕ Créer « ${suggestion.title} »` : suggestion.title;
+    // mousedown plutôt que click : l'éditeur garde le focus et la position du curseur
+    item.addEventListener('mousedown', event => {
+      event.preventDefault();
+      chooseLinkSuggestion(suggestion);
+    });
+    container.appendChild(item);
+  });
+
+  container.classList.toggle('hidden', suggestions.length === 0);
+};
+
+const renderTrashItem = ({ type, record }) => {
+  const div = document.createElement('div');
+  div.className = 'trash-item';
+
+  const isFolder = type === 'folder';
+  const origin = isFolder
+    ? PARA_LABELS[record.category]
+    : appState.folders.find(folder => folder.id === record.folderId)?.name ?? 'Sans dossier';
+  const contentCount = isFolder
+    ? appState.trashedNotes.filter(note => note.trashedWith === record.id).length
+    : 0;
+
+  div.innerHTML = `
+    <div class="trash-item__title">${isFolder ? '📁' : '📝'} ${escapeHTML(isFolder ? record.name : record.title)}</div>
+    <div class="trash-item__meta">
+      Supprimé : ${formatDate(record.deletedAt, appState.preferences.dateFormat)} · ${escapeHTML(origin)}${isFolder ? ` · ${contentCount} note(s)` : ''}
+    </div>
+    <div class="trash-item__actions">
+      <button class="trash-item__btn" data-trash-action="restore">♻️ Restaurer</button>
+      <button class="trash-item__btn trash-item__btn--danger" data-trash-action="delete">Supprimer définitivement</button>
+    </div>
+  `;
+
+  div.addEventListener('click', event => {
+    const action = event.target.closest('[data-trash-action]')?.dataset.trashAction;
+    if (action === 'restore') handleRestoreFromTrash(type, record.id);
+    if (action === 'delete') handleDeleteForever(type, record.id);
+  });
+  return div;
+};
+
+const renderTrash = () => {
+  const roots = getTrashRoots(appState.trashedFolders, appState.trashedNotes);
+  const container = document.getElementById('trashItems');
+
+  document.getElementById('trashCount').textContent = roots.length || '';
+  document.getElementById('trashRetentionSelect').value = String(appState.trashRetentionDays);
+  document.getElementById('emptyTrashBtn').disabled = roots.length === 0;
+  document.getElementById('trashEmptyState').classList.toggle('hidden', roots.length > 0);
+
+  container.innerHTML = '';
+  roots.forEach(root => container.appendChild(renderTrashItem(root)));
+};
+
+const renderTaskFilterSelect = () => {
+  const select = document.getElementById('taskFilterSelect');
+  const folderOptions = category => {
+    const options = [];
+    const addOptions = (parentId, depth) => {
+      getChildFolders(appState.folders, parentId, category).forEach(folder => {
+        options.push(`<option value="folder:${escapeHTML(folder.id)}">${'\u00a0\u00a0'.repeat(depth + 1)}${escapeHTML(folder.name)}</option>`);
+        addOptions(folder.id, depth + 1);
+      });
+    };
+    addOptions(null, 0);
+    return options.join('');
+  };
+
+  select.innerHTML = [
+    '<option value="all">Toutes les notes</option>',
+    ...PARA_CATEGORIES.map(category => `
+      <optgroup label="${PARA_ICONS[category]} ${PARA_LABELS[category]}">
+        <option value="category:${category}">Toute la catégorie</option>
+        ${folderOptions(category)}
+      </optgroup>
+    `)
+  ].join('');
+
+  const values = Array.from(select.options, option => option.value);
+  if (!values.includes(appState.taskFilter)) setState({ taskFilter: 'all' });
+  select.value = appState.taskFilter;
+};
+
+const renderTaskItem = task => {
+  const note = appState.notes.find(n => n.id === task.noteId);
+  const div = document.createElement('div');
+  div.className = 'task-item';
+  if (isTaskOverdue(task)) div.classList.add('task-item--overdue');
+
+  div.innerHTML = `
+    <input type="checkbox" class="task-item__checkbox" title="Marquer comme terminée">
+    <div class="task-item__body">
+      <div class="task-item__text">${escapeHTML(task.text)}</div>
+      <div class="task-item__meta">
+        ${task.due ? `<span class="task-item__due">📅 ${escapeHTML(task.due)}</span>` : ''}
+        <span class="task-item__note">${escapeHTML(note?.title || '')}</span>
+      </div>
+    </div>
+  `;
+
+  div.querySelector('.task-item__checkbox').addEventListener('change', event => {
+    handleTaskToggle(task.noteId, task.index, event.target.checked);
+  });
+  div.querySelector('.task-item__note').addEventListener('click', () => handleNoteSelect(task.noteId));
+  return div;
+};
+
+// Tâches de chaque note, extraites à nouveau seulement quand son contenu change :
+// la frappe dans une note ne réanalyse pas toutes les autres
+const noteTasksCache = new Map();
+
+const getNoteTasks = note => {
+  const cached = noteTasksCache.get(note.id);
+  if (cached?.content === note.content) return cached.tasks;
+  const tasks = extractTasks(note);
+  noteTasksCache.set(note.id, { content: note.content, tasks });
+  return tasks;
+};
+
+const pruneNoteTasksCache = notes => {
+  const noteIds = new Set(notes.map(note => note.id));
+  Array.from(noteTasksCache.keys())
+    .filter(noteId => !noteIds.has(noteId))
+    .forEach(noteId => noteTasksCache.delete(noteId));
+};
+
+const renderTasks = () => {
+  pruneNoteTasksCache(appState.notes);
+  const allOpenTasks = collectOpenTasks(appState.notes, appState.folders, 'all', getNoteTasks);
+  document.getElementById('taskCount').textContent = allOpenTasks.length || '';
+  if (appState.listView !== 'tasks') return;
+
+  renderTaskFilterSelect();
+  const tasks = collectOpenTasks(appState.notes, appState.folders, appState.taskFilter, getNoteTasks);
+  const container = document.getElementById('taskItems');
+  container.innerHTML = '';
+  tasks.forEach(task => container.appendChild(renderTaskItem(task)));
+  document.getElementById('tasksEmptyState').classList.toggle('hidden', tasks.length > 0);
+};
+
+// La colonne du milieu affiche les notes, la corbeille ou les tâches
+const renderListView = () => {
+  const view = appState.listView;
+  document.getElementById('notesList').classList.toggle('notes-list--trash', view === 'trash');
+  document.getElementById('notesList').classList.toggle('notes-list--tasks', view === 'tasks');
+  document.getElementById('trashLink').classList.toggle('trash-link--active', view === 'trash');
+  document.getElementById('tasksLink').classList.toggle('tasks-link--active', view === 'tasks');
+  updateCurrentFolderTitle();
+  renderTrash();
+  renderTasks();
+};
+
+const renderNoteConflict = ({ local, stored }) => {
+  const title = `« ${local.title || 'Sans titre'} »`;
+  const unsaved = 'alors que cet onglet avait des modifications non enregistrées';
+  const { message, keepLabel, loadLabel } = !stored
+    ? {
+      message: `${title} a été supprimée définitivement dans un autre onglet, ${unsaved}.`,
+      keepLabel: 'Recréer la note',
+      loadLabel: 'Accepter la suppression'
+    }
+    : isTrashed(stored)
+      ? {
+        message: `${title} a été mise à la corbeille dans un autre onglet, ${unsaved}. La version écartée reste dans l'historique.`,
+        keepLabel: 'Garder cette version',
+        loadLabel: 'Laisser à la corbeille'
+      }
+      : {
+        message: `${title} a été modifiée dans un autre onglet (${formatRevisionDate(stored.modified)}), ${unsaved}. La version écartée reste dans l'historique.`,
+        keepLabel: 'Garder cette version',
+        loadLabel: 'Charger l\'autre version'
+      };
+
+  document.getElementById('conflictMessage').textContent = message;
+  document.getElementById('conflictKeepLocalBtn').textContent = keepLabel;
+  document.getElementById('conflictLoadOtherBtn').textContent = loadLabel;
+};
+
+const SYNC_STATUS_LABELS = {
+  idle: 'Synchroniser maintenant',
+  syncing: 'Synchronisation…',
+  synced: 'Synchronisé',
+  conflict: 'Conflits à résoudre',
+  error: 'Échec de la synchronisation'
+};
+
+const getSyncStatusLabel = (configured, { state, at, message }) => {
+  if (!configured) return 'Synchronisation non configurée (Préférences)';
+  if (isVaultEnabled()) return 'Synchronisation suspendue : le chiffrement local est activé';
+  return [
+    SYNC_STATUS_LABELS[state],
+    at && state !== 'syncing' ? `dernière réussite : ${formatRevisionDate(at)}` : '',
+    message
+  ].filter(Boolean).join(' · ');
+};
+
+const renderSyncStatus = () => {
+  const { state } = appState.syncStatus;
+  const configured = Boolean(createSyncAdapter(appState.syncConfig));
+  const label = getSyncStatusLabel(configured, appState.syncStatus);
+
+  const button = document.getElementById('syncBtn');
+  button.title = label;
+  button.classList.toggle('header__button--syncing', state === 'syncing');
+  button.classList.toggle('header__button--sync-error', configured && state === 'error');
+  document.getElementById('syncStatusText').textContent = label;
+};
+
+const SYNC_FIELD_LABELS = {
+  title: 'Titre',
+  content: 'Contenu',
+  folderId: 'Dossier',
+  manualTags: 'Tags',
+  deletedAt: 'Corbeille',
+  name: 'Nom',
+  category: 'Catégorie',
+  parentId: 'Dossier parent'
+};
+
+const describeSyncValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field === 'content') return extractTextFromHTML(value);
+  if (field === 'folderId' || field === 'parentId') {
+    return appState.folders.find(folder => folder.id === value)?.name || value;
+  }
+  if (field === 'deletedAt' || field === 'archivedAt') return formatRevisionDate(value);
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+const renderSyncConflict = conflict => {
+  const { storeName, base, local, remote, fields } = conflict;
+  const record = local || remote;
+  // Accord du participe : « la note modifiée », « le dossier modifié »
+  const [kind, e] = {
+    [STORES.NOTES]: ['La note', 'e'],
+    [STORES.FOLDERS]: ['Le dossier', ''],
+    [STORES.ATTACHMENTS]: ['La pièce jointe', 'e']
+  }[storeName];
+  const name = record.title ?? record.name ?? record.id;
+
+  document.getElementById('syncConflictMessage').textContent = fields.length > 0
+    ? `${kind} « ${name} » a été modifié${e} sur cet appareil et sur le serveur. Les autres changements ont été fusionnés.`
+    : local
+      ? `${kind} « ${name} » a été modifié${e} sur cet appareil et supprimé${e} sur le serveur.`
+      : `${kind} « ${name} » a été supprimé${e} sur cet appareil et modifié${e} sur le serveur.`;
+
+  const rows = fields.length > 0
+    ? fields.map(field => [SYNC_FIELD_LABELS[field] || field, ...[base, local, remote].map(r => describeSyncValue(field, r?.[field]))])
+    : [['État', ...[base, local, remote].map(r => (r ? `présent${e}` : `supprimé${e}`))]];
+
+  document.getElementById('syncConflictRows').innerHTML = rows.map(([label, ...values]) => `
+    <tr>
+      <th class="sync-conflict__field" scope="row">${escapeHTML(label)}</th>
+      ${values.map(value => `<td class="sync-conflict__value">${escapeHTML(value)}</td>`).join('')}
+    </tr>
+  `).join('');
+};
+
+const renderThemeToggle = theme => {
+  const button = document.getElementById('themeToggleBtn');
+  button.textContent = THEME_OPTIONS[theme].icon;
+  button.title = `Thème : ${THEME_OPTIONS[theme].label.toLowerCase()} (cliquer pour changer)`;
+};
+
+const renderPreferences = () => {
+  const { defaultCategory, editorFontSize, dateFormat, theme, highContrast, accentColor } = appState.preferences;
+  const fontSizeInput = document.getElementById('editorFontSizeInput');
+  const sample = Date.now() - 3 * 86400000;
+
+  document.getElementById('defaultCategorySelect').value = defaultCategory || '';
+  fontSizeInput.min = EDITOR_FONT_SIZE_MIN;
+  fontSizeInput.max = EDITOR_FONT_SIZE_MAX;
+  fontSizeInput.value = editorFontSize;
+  document.getElementById('syncAdapterSelect').value = appState.syncConfig.adapter;
+  document.getElementById('syncUrlInput').value = appState.syncConfig.url;
+  document.getElementById('syncUsernameInput').value = appState.syncConfig.username;
+  document.getElementById('syncPasswordInput').value = appState.syncConfig.password;
+  document.getElementById('dateFormatSelect').innerHTML = DATE_FORMATS.map(format => `
+    <option value="${format}"${format === dateFormat ? ' selected' : ''}>${escapeHTML(formatDate(sample, format))}</option>
+  `).join('');
+  document.getElementById('themeSelect').innerHTML = THEME_MODES.map(mode => `
+    <option value="${mode}"${mode === theme ? ' selected' : ''}>${THEME_OPTIONS[mode].icon} ${THEME_OPTIONS[mode].label}</option>
+  `).join('');
+  document.getElementById('highContrastInput').checked = highContrast;
+  document.getElementById('accentColorInput').value = accentColor;
+  renderJournalPreferences();
+  renderVaultPreferences();
+};
+
+const renderTemplatePicker = (templates, category) => {
+  document.getElementById('templatePickerTitle').textContent = category
+    ? `Nouvelle note dans ${PARA_LABELS[category]}`
+    : 'Nouvelle note';
+  document.getElementById('templatePickerList').innerHTML = [
+    '<li><button class="template-picker__item" data-template-id="">📝 Note vide</button></li>',
+    ...templates.map(template => `
+      <li><button class="template-picker__item" data-template-id="${escapeHTML(template.id)}">📄 ${escapeHTML(template.title || 'Sans titre')}</button></li>
+    `)
+  ].join('');
+};
+
+const renderJournalPreferences = () => {
+  const { journalFolderId } = appState.journal;
+  const templates = getTemplates(appState.notes);
+  const renderOptions = (options, selectedId) => options.map(({ id, label }) => `
+    <option value="${escapeHTML(id)}"${id === (selectedId ?? '') ? ' selected' : ''}>${escapeHTML(label)}</option>
+  `).join('');
+
+  document.getElementById('journalFolderSelect').innerHTML = renderOptions([
+    { id: '', label: `${JOURNAL_FOLDER_NAME} (créé au besoin)` },
+    ...appState.folders
+      .filter(folder => folder.category === 'areas')
+      .map(folder => ({ id: folder.id, label: getFolderLabel(folder) }))
+  ], journalFolderId);
+  Object.entries(JOURNAL_PERIODS).forEach(([period, { templateSetting }]) => {
+    document.getElementById(`${period}TemplateSelect`).innerHTML = renderOptions([
+      { id: '', label: 'Aucun (note vide)' },
+      ...templates.map(template => ({ id: template.id, label: template.title || 'Sans titre' }))
+    ], appState.journal[templateSetting]);
+  });
+};
+
+const renderVaultPreferences = () => {
+  const enabled = isVaultEnabled();
+  const autoLockSelect = document.getElementById('vaultAutoLockSelect');
+
+  document.getElementById('vaultStatusText').textContent = enabled
+    ? '🔒 Activé : titres, contenus et pièces jointes sont chiffrés sur cet appareil.'
+    : 'Désactivé : les notes sont enregistrées en clair sur cet appareil.';
+  document.getElementById('vaultToggleBtn').textContent = enabled ? 'Désactiver le chiffrement…' : 'Activer le chiffrement…';
+  document.getElementById('vaultLockBtn').classList.toggle('hidden', !enabled);
+  autoLockSelect.disabled = !enabled;
+  autoLockSelect.innerHTML = VAULT_AUTO_LOCK_OPTIONS.map(minutes => `
+    <option value="${minutes}"${minutes === appState.vaultAutoLockMinutes ? ' selected' : ''}>${minutes} min</option>
+  `).join('');
+};
+
+const renderCommandPalette = (results, activeIndex) => {
+  const bindings = getShortcutBindings();
+  const container = document.getElementById('commandPaletteList');
+  container.innerHTML = '';
+
+  results.forEach((command, index) => {
+    const item = document.createElement('li');
+    item.className = 'command-palette__item';
+    item.setAttribute('role', 'option');
+    if (index === activeIndex) item.classList.add('command-palette__item--active');
+    const shortcut = bindings[command.id]?.[0];
+    item.innerHTML = `
+      <span class="command-palette__label">${escapeHTML(command.label)}</span>
+      ${shortcut ? `<kbd class="command-palette__shortcut">${escapeHTML(formatShortcut(shortcut))}</kbd>` : ''}
+    `;
+    item.addEventListener('mousedown', event => {
+      event.preventDefault();
+      runPaletteCommand(command);
+    });
+    container.appendChild(item);
+  });
+
+  container.querySelector('.command-palette__item--active')?.scrollIntoView?.({ block: 'nearest' });
+  document.getElementById('commandPaletteEmpty').classList.toggle('hidden', results.length > 0);
+};
+
+const renderShortcutsEditor = () => {
+  const bindings = getShortcutBindings();
+  const container = document.getElementById('shortcutsList');
+  container.innerHTML = '';
+
+  COMMANDS.forEach(command => {
+    const row = document.createElement('li');
+    row.className = 'shortcuts__row';
+    const isCapturing = appState.capturingShortcutFor === command.id;
+    const isCustom = appState.shortcutOverrides[command.id] !== undefined;
+    const keys = bindings[command.id].map(shortcut => `<kbd>${escapeHTML(formatShortcut(shortcut))}</kbd>`).join(' ');
+
+    row.innerHTML = `
+      <span class="shortcuts__label">${escapeHTML(command.label)}</span>
+      <span class="shortcuts__keys">${isCapturing ? '<em>Appuyez sur la combinaison… (Échap : annuler, ⌫ : aucun)</em>' : keys || '—'}</span>
+      <button class="shortcuts__btn" data-role="edit">${isCapturing ? 'Annuler' : 'Modifier'}</button>
+      <button class="shortcuts__btn" data-role="reset" title="Raccourci par défaut" ${isCustom ? '' : 'disabled'}>↺</button>
+    `;
+    if (isCapturing) row.classList.add('shortcuts__row--capturing');
+    row.querySelector('[data-role="edit"]').addEventListener('click', () => {
+      setState({ capturingShortcutFor: isCapturing ? null : command.id });
+      renderShortcutsEditor();
+    });
+    row.querySelector('[data-role="reset"]').addEventListener('click', () => resetShortcut(command.id));
+    container.appendChild(row);
+  });
+};
+
+const renderTagList = () => {
+  const container = document.getElementById('tagListItems');
+  const counts = countTags(appState.notes);
+  const existingTags = Array.from(counts.keys()).sort((a, b) => a.localeCompare(b));
+  // Un tag sélectionné qui n'existe plus reste affiché, sinon le filtre actif ne pourrait plus être retiré
+  const tags = [...existingTags, ...appState.selectedTags.filter(tag => !counts.has(tag))]
+    .sort((a, b) => a.localeCompare(b));
+
+  container.innerHTML = '';
+  document.getElementById('tagList').classList.toggle('hidden', tags.length === 0);
+  document.getElementById('tagMatchModeBtn').textContent = appState.tagMatchMode === 'and' ? 'ET' : 'OU';
+  document.getElementById('tagSuggestions').innerHTML = existingTags
+    .map(tag => `<option value="${escapeHTML(tag)}"></option>`)
+    .join('');
+
+  tags.forEach(tag => {
+    const item = document.createElement('div');
+    item.className = 'tag-list__item';
+    if (appState.selectedTags.includes(tag)) item.classList.add('tag-list__item--active');
+    item.innerHTML = `
+      <span class="tag-list__name">#${escapeHTML(tag)}</span>
+      <span class="tag-list__count">${counts.get(tag) || 0}</span>
+      ${counts.has(tag) ? '<button class="tree-nav__item-btn" data-tag-action="rename" title="Renommer / fusionner">✏️</button>' : ''}
+    `;
+    item.addEventListener('click', event => {
+      if (event.target.closest('[data-tag-action="rename"]')) {
+        event.stopPropagation();
+        handleRenameTag(tag);
+      } else {
+        handleTagFilterToggle(tag);
+      }
+    });
+    container.appendChild(item);
+  });
+};
+
+const renderFavorites = () => {
+  const list = document.getElementById('favoritesList');
+  const favorites = sortNotesByTitle(appState.notes.filter(note => note.favorite));
+
+  document.getElementById('favorites').classList.toggle('hidden', favorites.length === 0);
+  list.innerHTML = favorites.map(note => `
+    <li class="favorites__item${appState.currentNote?.id === note.id ? ' favorites__item--active' : ''}" data-note-id="${escapeHTML(note.id)}">
+      ${escapeHTML(note.title)}
+    </li>
+  `).join('');
+};
+
+const handleFavoriteClick = event => {
+  const item = event.target.closest('[data-note-id]');
+  if (!item) return;
+  showNotesView();
+  handleNoteSelect(item.dataset.noteId);
+};
+
+const LIST_VIEW_TITLES = {
+  trash: 'Corbeille',
+  tasks: 'Tâches ouvertes'
+};
+
+const updateCurrentFolderTitle = () => {
+  const titleElement = document.getElementById('currentFolderTitle');
+  if (LIST_VIEW_TITLES[appState.listView]) {
+    titleElement.textContent = LIST_VIEW_TITLES[appState.listView];
+  } else if (appState.currentFolder) {
+    titleElement.textContent = appState.currentFolder.name;
+  } else {
+    titleElement.textContent = 'Toutes les notes';
+  }
+};
+
+// ===== EVENT HANDLERS =====
+
+const handleNoteSelect = async noteId => {
+  const note = appState.notes.find(n => n.id === noteId) ||
+    normalizeNote(await getById(STORES.NOTES, noteId));
+  setState({ currentNote: note });
+  updateEditor(note);
+  renderNotesList(getFilteredAndSortedNotes());
+  renderFavorites();
+};
+
+const handleFolderSelect = async folderId => {
+  const folder = await getById(STORES.FOLDERS, folderId);
+  setState({ currentFolder: folder, listView: 'notes' });
+  renderListView();
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+const createNoteInFolder = (folder, template) => (template
+  ? createNoteFromTemplate(template, { folderId: folder?.id ?? null, folderName: folder?.name ?? '' })
+  : createNote('Sans titre', '', folder?.id ?? null));
+
+const handleNewNote = async (template = null) => {
+  const { defaultCategory } = appState.preferences;
+  if (!appState.currentFolder && defaultCategory) return handleNewNoteInCategory(defaultCategory, template);
+
+  showNotesView();
+  const note = createNoteInFolder(appState.currentFolder, template);
+
+  await add(STORES.NOTES, note);
+  await refreshNotesList();
+  await handleNoteSelect(note.id);
+
+  // Focus on title
+  document.getElementById('noteTitle').focus();
+};
+
+const getOrCreateDefaultFolder = async category => {
+  const categoryFolders = getChildFolders(appState.folders, null, category);
+
+  if (categoryFolders.length > 0) {
+    return categoryFolders[0];
+  }
+
+  // Create default folder for this category
+  const folderName = {
+    projects: 'Projets généraux',
+    areas: 'Domaines généraux',
+    resources: 'Ressources générales',
+    archives: 'Archives générales'
+  }[category];
+
+  const folder = createFolder(folderName, category);
+  await add(STORES.FOLDERS, folder);
+  await refreshFolders();
+
+  return folder;
+};
+
+const handleNewNoteInCategory = async (category, template = null) => {
+  const folder = await getOrCreateDefaultFolder(category);
+  const note = createNoteInFolder(folder, template);
+
+  await add(STORES.NOTES, note);
+
+  // Select the folder to show the new note
+  setState({ currentFolder: folder, listView: 'notes' });
+  renderListView();
+
+  await refreshNotesList();
+  await handleNoteSelect(note.id);
+
+  // Focus on title
+  document.getElementById('noteTitle').focus();
+};
+
+// Les modifications de l'éditeur sont appliquées en mémoire tout de suite,
+// l'écriture IndexedDB est différée et regroupée par l'autosave
+const commitNoteEdit = note => {
+  const previousTags = appState.currentNote?.id === note.id ? appState.currentNote.tags : null;
+  const previous = appState.notes.find(n => n.id === note.id);
+  if (previous && !isSameVersion(previous, note)) captureRevision(previous);
+  replaceNoteInState(note);
+  updateNoteListItem(note);
+  scheduleNoteSave(note, getNoteVersion(previous));
+
+  if (!previousTags || previousTags.join() !== note.tags.join()) {
+    renderTagList();
+    renderNoteTags(note);
+  }
+  if (previous?.content !== note.content) renderTasks();
+  if (previous?.title !== note.title || previous?.favorite !== note.favorite) renderFavorites();
+};
+
+const handleNoteTitleChange = event => {
+  if (!appState.currentNote) return;
+
+  commitNoteEdit(updateNoteContent(appState.currentNote, {
+    title: event.target.value || 'Sans titre'
+  }));
+};
+
+const handleNoteContentChange = () => {
+  if (!appState.currentNote) return;
+
+  const bodyElement = document.getElementById('noteBody');
+  const content = serializeEditorContent(bodyElement);
+  commitNoteEdit(updateNoteContent(appState.currentNote, {
+    content,
+    tags: computeNoteTags(appState.currentNote.manualTags, content)
+  }));
+};
+
+const handleNoteBodyInput = event => {
+  applyInputRules(event);
+  resetNewTaskItem(event);
+  const codeBlock = getCurrentCodeBlock();
+  if (codeBlock && !event?.isComposing) highlightCodeBlock(codeBlock);
+  handleNoteContentChange();
+  updateLinkSuggestions();
+};
+
+const openModal = modalId => {
+  document.getElementById(modalId).classList.add('modal--open');
+};
+
+const closeModal = modalId => {
+  document.getElementById(modalId).classList.remove('modal--open');
+};
+
+const handleSearch = event => {
+  setState({ searchQuery: event.target.value });
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+const handleSortChange = event => {
+  setState({ sortBy: event.target.value });
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+const getExportTimestamp = () => new Date().toISOString().split('T')[0];
+
+const handleExport = () => {
+  if (!appState.currentNote) return;
+
+  const txtContent = exportNoteToTxt(appState.currentNote);
+  const blob = new Blob([txtContent], { type: 'text/plain;charset=utf-8' });
+  downloadBlob(blob, `${appState.currentNote.title}.txt`);
+};
+
+const handleExportAll = () => {
+  if (appState.notes.length === 0) {
+    alert('Aucune note à exporter');
+    return;
+  }
+
+  const sortedNotes = sortNotesByModified(appState.notes);
+  const txtContent = exportAllNotesToTxt(sortedNotes);
+  const blob = new Blob([txtContent], { type: 'text/plain;charset=utf-8' });
+  downloadBlob(blob, `transient-notes-export-${getExportTimestamp()}.txt`);
+};
+
+// Un export de note seule embarque ses images en data URL
+const handleExportMarkdown = async () => {
+  if (!appState.currentNote) return;
+
+  const note = appState.currentNote;
+  try {
+    const attachments = await Promise.all(
+      collectAttachmentIds(note.content).map(id => getById(STORES.ATTACHMENTS, id))
+    );
+    const dataUrls = new Map(await Promise.all(
+      attachments.filter(Boolean).map(async attachment =>
+        [attachment.id, await blobToDataUrl(attachment.blob)]
+      )
+    ));
+
+    const content = replaceNoteLinkTitles(note.content, id => appState.notes.find(n => n.id === id)?.title);
+    const markdown = exportNoteToMarkdown({ ...note, content }, id => dataUrls.get(id));
+    const blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' });
+    downloadBlob(blob, `${sanitizeFileName(note.title)}.md`);
+  } catch (error) {
+    console.error('❌ Error exporting Markdown:', error);
+    alert(`Échec de l'export Markdown :\n${error.message}`);
+  }
+};
+
+const handleExportAllMarkdown = async () => {
+  if (appState.notes.length === 0) {
+    alert('Aucune note à exporter');
+    return;
+  }
+
+  const encoder = new TextEncoder();
+  try {
+    const attachments = await getAll(STORES.ATTACHMENTS);
+    const entries = buildMarkdownArchiveEntries(
+      sortNotesByTitle(appState.notes),
+      appState.folders,
+      attachments
+    );
+    const files = await Promise.all(entries.map(async entry => ({
+      path: entry.path,
+      data: typeof entry.data === 'string'
+        ? encoder.encode(entry.data)
+        : new Uint8Array(await entry.data.arrayBuffer())
+    })));
+    downloadBlob(createZipArchive(files), `transient-notes-markdown-${getExportTimestamp()}.zip`);
+  } catch (error) {
+    console.error('❌ Error exporting Markdown archive:', error);
+    alert(`Échec de l'export Markdown :\n${error.message}`);
+  }
+};
+
+const handleImportMarkdown = async event => {
+  const files = Array.from(event.target.files);
+  if (files.length === 0) return;
+
+  const folderId = appState.currentFolder?.id || null;
+  try {
+    const parsedNotes = await Promise.all(files.map(async file =>
+      createNoteFromMarkdown(await file.text(), file.name, folderId)
+    ));
+    // Les notes importées ensemble peuvent se référencer entre elles
+    const idsByTitle = new Map([...appState.notes, ...parsedNotes].map(note => [foldText(note.title), note.id]));
+    const imported = parsedNotes.map(note => {
+      const linkedContent = resolveNoteLinkTitles(note.content, title => idsByTitle.get(foldText(title)));
+      const { content, attachments } = extractInlineImages(linkedContent);
+      return { note: { ...note, content }, attachments };
+    });
+    const notes = imported.map(item => item.note);
+
+    await performBulkWrite([STORES.NOTES, STORES.ATTACHMENTS], getStore => {
+      imported.forEach(({ note, attachments }) => {
+        getStore(STORES.NOTES).add(note);
+        attachments.forEach(attachment => getStore(STORES.ATTACHMENTS).add(attachment));
+      });
+    });
+
+    await refreshNotesList();
+    await handleNoteSelect(notes[0].id);
+  } catch (error) {
+    console.error('❌ Error importing Markdown:', error);
+    alert(`Échec de l'import Markdown :\n${error.message}`);
+  } finally {
+    // Le même fichier peut être choisi à nouveau, y compris après un échec
+    event.target.value = '';
+  }
+};
+
+const readBackup = async () => {
+  await flushPendingSaves();
+  return createBackup(await serializeStoresForBackup(await getAllStores()));
+};
+
+const downloadBackup = (data, suffix = '') => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `transient-notes-backup-${getExportTimestamp()}${suffix}.json`);
+};
+
+const handleBackup = async () => downloadBackup(await readBackup());
+
+// Indépendante du coffre : la phrase secrète est choisie pour cette sauvegarde
+const handleEncryptedBackup = async () => {
+  const passphrase = await requestPassphrase({
+    title: 'Sauvegarde chiffrée',
+    message: 'Choisissez la phrase secrète qui sera demandée pour restaurer cette sauvegarde.',
+    confirm: true
+  });
+  if (passphrase === null) return;
+
+  try {
+    downloadBackup(await encryptBackup(await readBackup(), passphrase), '-encrypted');
+  } catch (error) {
+    console.error('❌ Error creating encrypted backup:', error);
+    alert(`Échec de la sauvegarde chiffrée :\n${error.message}`);
+  }
+};
+
+const handleOpenRestore = () => {
+  document.getElementById('restoreFileInput').value = '';
+  document.querySelector('input[name="restoreMode"][value="merge"]').checked = true;
+  openModal('restoreModal');
+};
+
+// null si l'utilisateur renonce à saisir la phrase secrète d'une sauvegarde chiffrée
+const readBackupFile = async file => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('Le fichier n\'est pas un JSON valide');
+  }
+
+  if (isEncryptedBackup(data)) {
+    const encrypted = data;
+    data = await requestPassphrase({
+      title: 'Sauvegarde chiffrée',
+      message: 'Saisissez la phrase secrète choisie lors de la sauvegarde.',
+      accept: passphrase => decryptBackup(encrypted, passphrase)
+    });
+    if (data === null) return null;
+  }
+
+  const errors = validateBackup(data);
+  if (errors.length > 0) {
+    throw new Error(errors.slice(0, 5).join('\n'));
+  }
+  return { ...data, stores: deserializeBackupStores(data.stores) };
+};
+
+const handleRestore = async () => {
+  const file = document.getElementById('restoreFileInput').files[0];
+  if (!file) return;
+
+  const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+
+  if (mode === 'replace' && !window.confirm(
+    'Toutes les notes, dossiers et paramètres actuels seront remplacés. Continuer ?'
+  )) return;
+
+  try {
+    const backup = await readBackupFile(file);
+    if (!backup) return;
+    await flushPendingSaves();
+    const existingStores = await getAllStores();
+    const plan = mode === 'replace'
+      ? planReplaceImport(existingStores, backup.stores)
+      : planMergeImport(existingStores, backup.stores);
+
+    const storeNames = Object.keys(plan.writes);
+    await performBulkWrite(storeNames, getStore => {
+      storeNames.forEach(storeName => {
+        const store = getStore(storeName);
+        if (mode === 'replace') store.clear();
+        plan.writes[storeName].forEach(record => store.put(record));
+      });
+    });
+
+    closeModal('restoreModal');
+    await reloadAfterImport();
+    alert(formatImportReport(plan.report, mode));
+  } catch (error) {
+    console.error('❌ Error restoring backup:', error);
+    alert(`Échec de la restauration :\n${error.message}`);
+  }
+};
+
+const reloadAfterImport = async () => {
+  clearAttachmentUrlCache();
+  applySettings(await loadSettings());
+  // La session en cours garde son dossier et sa note, réécrits par-dessus ceux de la sauvegarde
+  savedUIState = {};
+  await refreshFolders();
+  await refreshNotesList();
+
+  const currentNote = appState.currentNote &&
+    appState.notes.find(note => note.id === appState.currentNote.id);
+  const currentFolder = appState.currentFolder &&
+    appState.folders.find(folder => folder.id === appState.currentFolder.id);
+
+  setState({ currentNote: currentNote || null, currentFolder: currentFolder || null });
+  updateEditor(appState.currentNote);
+  updateCurrentFolderTitle();
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+// La note part à la corbeille avec ses dernières modifications, restaurable depuis la corbeille
+const handleDelete = async () => {
+  if (!appState.currentNote) return;
+
+  discardPendingSave(appState.currentNote.id);
+  await update(STORES.NOTES, trashNote(appState.currentNote));
+  removeFromSearchIndex(searchIndex, appState.currentNote.id);
+  setState({ currentNote: null });
+  updateEditor(null);
+  await refreshNotesList();
+};
+
+// ===== FOLDER MANAGEMENT =====
+
+const populateParentFolderSelect = (category, excludedFolderId, selectedParentId) => {
+  const select = document.getElementById('folderParentSelect');
+  const excludedIds = excludedFolderId
+    ? getDescendantFolderIds(appState.folders, excludedFolderId)
+    : new Set();
+
+  const options = ['<option value="">— Aucun (racine) —</option>'];
+  const addOptions = (parentId, depth) => {
+    getChildFolders(appState.folders, parentId, category)
+      .filter(folder => !excludedIds.has(folder.id))
+      .forEach(folder => {
+        options.push(`<option value="${escapeHTML(folder.id)}">${'\u00a0\u00a0'.repeat(depth)}${escapeHTML(folder.name)}</option>`);
+        addOptions(folder.id, depth + 1);
+      });
+  };
+  addOptions(null, 0);
+
+  select.innerHTML = options.join('');
+  select.value = selectedParentId && !excludedIds.has(selectedParentId) ? selectedParentId : '';
+};
+
+// Le même formulaire sert à la création et à la modification
+const openFolderModal = (folder = null) => {
+  const modal = document.getElementById('folderModal');
+  const input = document.getElementById('folderNameInput');
+  const categorySelect = document.getElementById('folderCategorySelect');
+  const defaultCategory = appState.currentFolder?.category || appState.preferences.defaultCategory || 'projects';
+
+  modal.dataset.folderId = folder?.id || '';
+  document.getElementById('folderModalTitle').textContent = folder ? 'Modifier le dossier' : 'Nouveau dossier';
+  document.getElementById('createFolderBtn').textContent = folder ? 'Enregistrer' : 'Créer';
+
+  input.value = folder?.name || '';
+  categorySelect.value = folder?.category || defaultCategory;
+  populateParentFolderSelect(categorySelect.value, folder?.id, folder ? folder.parentId : appState.currentFolder?.id);
+
+  openModal('folderModal');
+  input.focus();
+};
+
+const handleNewFolder = () => openFolderModal();
+
+const handleEditFolder = folderId => {
+  const folder = appState.folders.find(f => f.id === folderId);
+  if (folder) openFolderModal(folder);
+};
+
+const handleFolderCategoryChange = event => {
+  const editedFolderId = document.getElementById('folderModal').dataset.folderId;
+  populateParentFolderSelect(event.target.value, editedFolderId || null, null);
+};
+
+const handleCreateFolder = async () => {
+  const input = document.getElementById('folderNameInput');
+  const name = input.value.trim();
+
+  if (!name) return;
+
+  const category = document.getElementById('folderCategorySelect').value;
+  const parentId = document.getElementById('folderParentSelect').value || null;
+  const editedFolderId = document.getElementById('folderModal').dataset.folderId;
+
+  if (editedFolderId) {
+    const movedFolders = moveFolder(appState.folders, editedFolderId, { parentId, category })
+      .map(folder => folder.id === editedFolderId ? { ...folder, name } : folder);
+    await saveFolders(movedFolders);
+  } else {
+    await add(STORES.FOLDERS, createFolder(name, category, parentId));
+    await refreshFolders();
+  }
+
+  closeModal('folderModal');
+};
+
+const saveFolders = async folders => {
+  await performBulkWrite([STORES.FOLDERS], getStore => {
+    folders.forEach(folder => getStore(STORES.FOLDERS).put(folder));
+  });
+  await refreshFolders();
+  syncCurrentFolder();
+};
+
+// Garde appState.currentFolder aligné sur la liste des dossiers rechargée
+const syncCurrentFolder = () => {
+  const currentFolder = appState.currentFolder &&
+    appState.folders.find(folder => folder.id === appState.currentFolder.id);
+  setState({ currentFolder: currentFolder || null });
+  updateCurrentFolderTitle();
+  renderFolders(appState.folders);
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+const handleDeleteFolder = folderId => {
+  const folder = appState.folders.find(f => f.id === folderId);
+  if (!folder) return;
+
+  const subtreeIds = getDescendantFolderIds(appState.folders, folderId);
+  const noteCount = filterNotesByFolders(subtreeIds, appState.notes).length;
+  const modal = document.getElementById('deleteFolderModal');
+
+  modal.dataset.folderId = folderId;
+  document.getElementById('deleteFolderMessage').textContent =
+    `Supprimer « ${folder.name} »` +
+    (subtreeIds.size > 1 ? ` et ses ${subtreeIds.size - 1} sous-dossier(s)` : '') +
+    ` ? ${noteCount} note(s) concernée(s).`;
+
+  const targetSelect = document.getElementById('deleteFolderTargetSelect');
+  targetSelect.innerHTML = [
+    '<option value="">Sans dossier</option>',
+    ...appState.folders
+      .filter(f => !subtreeIds.has(f.id))
+      .map(f => `<option value="${escapeHTML(f.id)}">${escapeHTML(
+        `${PARA_LABELS[f.category]} / ${getFolderPath(appState.folders, f).map(p => p.name).join(' / ')}`
+      )}</option>`)
+  ].join('');
+
+  document.querySelector('input[name="deleteFolderMode"][value="move"]').checked = true;
+  openModal('deleteFolderModal');
+};
+
+const handleConfirmDeleteFolder = async () => {
+  const folderId = document.getElementById('deleteFolderModal').dataset.folderId;
+  const mode = document.querySelector('input[name="deleteFolderMode"]:checked').value;
+  const targetFolderId = document.getElementById('deleteFolderTargetSelect').value || null;
+
+  await flushPendingSaves();
+  const subtreeIds = getDescendantFolderIds(appState.folders, folderId);
+  const notesToMove = mode === 'move' ? filterNotesByFolders(subtreeIds, appState.notes) : [];
+  // Les notes déplacées ne suivent pas le dossier à la corbeille
+  const remainingNotes = appState.notes.filter(note => !notesToMove.includes(note));
+  const movedNotes = moveNotesToFolder(notesToMove, notesToMove.map(note => note.id), targetFolderId);
+  const trashed = trashFolder(appState.folders, remainingNotes, folderId);
+
+  await performBulkWrite([STORES.FOLDERS, STORES.NOTES], getStore => {
+    trashed.folders.forEach(folder => getStore(STORES.FOLDERS).put(folder));
+    trashed.notes.forEach(note => getStore(STORES.NOTES).put(note));
+    movedNotes.forEach(note => getStore(STORES.NOTES).put(note));
+  });
+
+  if (trashed.notes.some(note => note.id === appState.currentNote?.id)) {
+    setState({ currentNote: null });
+    updateEditor(null);
+  }
+
+  closeModal('deleteFolderModal');
+  await refreshFolders();
+  await refreshNotesList();
+  syncCurrentFolder();
+};
+
+const handleArchiveFolder = async folderId => {
+  const folder = appState.folders.find(f => f.id === folderId);
+  if (!folder) return;
+
+  const noteCount = filterNotesByFolders(getDescendantFolderIds(appState.folders, folderId), appState.notes).length;
+  if (!window.confirm(`Archiver « ${folder.name} » et ses ${noteCount} note(s) ?`)) return;
+
+  await saveFolders(archiveFolder(appState.folders, folderId));
+};
+
+const handleUnarchiveFolder = async folderId => {
+  const folder = appState.folders.find(f => f.id === folderId);
+  if (!folder?.archivedFrom) return;
+  await saveFolders(unarchiveFolder(appState.folders, folderId));
+};
+
+// ===== TAG HANDLERS =====
+
+const setManualTags = manualTags => {
+  const note = appState.currentNote;
+  if (!note) return;
+
+  const tags = uniqueTags(manualTags);
+  commitNoteEdit(updateNoteContent(note, {
+    manualTags: tags,
+    tags: computeNoteTags(tags, note.content)
+  }));
+};
+
+const handleAddTag = value => {
+  const tag = normalizeTag(value);
+  if (!tag || !appState.currentNote) return;
+  setManualTags([...appState.currentNote.manualTags, tag]);
+};
+
+const handleRemoveTag = tag => {
+  if (!appState.currentNote) return;
+  setManualTags(appState.currentNote.manualTags.filter(t => t !== tag));
+};
+
+const handleTagInputKeydown = event => {
+  const input = event.target;
+
+  if (event.key === 'Enter' || event.key === ',') {
+    event.preventDefault();
+    handleAddTag(input.value);
+    input.value = '';
+  } else if (event.key === 'Backspace' && !input.value && appState.currentNote?.manualTags.length) {
+    handleRemoveTag(appState.currentNote.manualTags[appState.currentNote.manualTags.length - 1]);
+  }
+};
+
+// Choisir une suggestion dans la liste l'ajoute directement
+const handleTagInputChange = event => {
+  const value = normalizeTag(event.target.value);
+  if (value && countTags(appState.notes).has(value)) {
+    handleAddTag(value);
+    event.target.value = '';
+  }
+};
+
+const handleTagFilterToggle = tag => {
+  const selectedTags = appState.selectedTags.includes(tag)
+    ? appState.selectedTags.filter(t => t !== tag)
+    : [...appState.selectedTags, tag];
+  setState({ selectedTags });
+  renderTagList();
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+const handleTagMatchModeToggle = () => {
+  setState({ tagMatchMode: appState.tagMatchMode === 'and' ? 'or' : 'and' });
+  renderTagList();
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+// Renommer vers un tag existant revient à fusionner les deux
+const handleRenameTag = async oldTag => {
+  const answer = window.prompt(`Renommer le tag #${oldTag} en :`, oldTag);
+  if (answer === null) return;
+
+  const newTag = normalizeTag(answer);
+  if (!newTag || newTag === oldTag) return;
+  if (countTags(appState.notes).has(newTag) &&
+    !window.confirm(`Le tag #${newTag} existe déjà. Fusionner #${oldTag} dans #${newTag} ?`)) return;
+
+  await flushPendingSaves();
+  // Pas d'index des tags pour les notes chiffrées : on parcourt toutes les notes
+  const affectedNotes = (await getAll(STORES.NOTES))
+    .map(normalizeNote)
+    .filter(note => !isTrashed(note) && note.tags.includes(oldTag));
+  const renamedNotes = affectedNotes.map(note => renameTagInNote(note, oldTag, newTag));
+
+  await performBulkWrite([STORES.NOTES], getStore => {
+    renamedNotes.forEach(note => getStore(STORES.NOTES).put(note));
+  });
+  renamedNotes.forEach(note => {
+    replaceNoteInState(note);
+    addToSearchIndex(searchIndex, note);
+  });
+
+  setState({
+    selectedTags: uniqueTags(appState.selectedTags.map(tag => (tag === oldTag ? newTag : tag)))
+  });
+  if (renamedNotes.some(note => note.id === appState.currentNote?.id)) {
+    updateEditor(appState.currentNote);
+  }
+  renderTagList();
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+// ===== NOTE LINKS HANDLERS =====
+
+const resolveNoteLinks = container => {
+  container.querySelectorAll('a.note-link[data-note-id]').forEach(link => {
+    const target = appState.notes.find(note => note.id === link.dataset.noteId);
+    link.classList.toggle('note-link--missing', !target);
+    link.title = target ? 'Ouvrir la note' : 'Note introuvable : cliquer pour la créer';
+    if (target) link.textContent = target.title;
+  });
+};
+
+// Texte saisi après le dernier « [[ » dans le nœud texte qui contient le curseur
+const getLinkQueryAtCaret = () => {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !selection.isCollapsed) return null;
+
+  const { startContainer, startOffset } = selection.getRangeAt(0);
+  if (startContainer.nodeType !== Node.TEXT_NODE) return null;
+  if (!document.getElementById('noteBody').contains(startContainer)) return null;
+
+  const match = startContainer.textContent.slice(0, startOffset).match(/\[\[([^[\]\n]*)$/);
+  if (!match) return null;
+
+  return {
+    node: startContainer,
+    start: startOffset - match[0].length,
+    end: startOffset,
+    query: match[1]
+  };
+};
+
+const positionLinkSuggestions = () => {
+  const container = document.getElementById('linkSuggestions');
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return;
+
+  const caretRect = selection.getRangeAt(0).getBoundingClientRect();
+  const editorRect = document.getElementById('editor').getBoundingClientRect();
+  container.style.left = `${Math.max(0, caretRect.left - editorRect.left)}px`;
+  container.style.top = `${caretRect.bottom - editorRect.top + 4}px`;
+};
+
+const updateLinkSuggestions = () => {
+  const linkQuery = getLinkQueryAtCaret();
+  if (!linkQuery) {
+    hideLinkSuggestions();
+    return;
+  }
+
+  const title = linkQuery.query.trim();
+  const candidates = appState.notes.filter(note => note.id !== appState.currentNote?.id);
+  const suggestions = findLinkSuggestions(title, candidates)
+    .map(note => ({ id: note.id, title: note.title }));
+  const hasExactMatch = suggestions.some(suggestion => foldText(suggestion.title) === foldText(title));
+  if (title && !hasExactMatch) suggestions.push({ create: true, title });
+
+  setState({ linkSuggestions: suggestions, activeLinkSuggestion: 0 });
+  renderLinkSuggestions(suggestions, 0);
+  positionLinkSuggestions();
+};
+
+const hideLinkSuggestions = () => {
+  if (appState.linkSuggestions.length === 0) return;
+  setState({ linkSuggestions: [], activeLinkSuggestion: 0 });
+  renderLinkSuggestions([], 0);
+};
+
+// Remplace « [[saisie » par le lien, suivi d'une espace pour continuer à écrire
+const insertNoteLink = (noteId, title) => {
+  const linkQuery = getLinkQueryAtCaret();
+  if (!linkQuery) return;
+
+  recordUndoStep('link');
+  const range = document.createRange();
+  range.setStart(linkQuery.node, linkQuery.start);
+  range.setEnd(linkQuery.node, linkQuery.end);
+  range.deleteContents();
+
+  const link = createNoteLinkElement(noteId, title);
+  const spacer = document.createTextNode('\u00a0');
+  range.insertNode(spacer);
+  range.insertNode(link);
+
+  const selection = window.getSelection();
+  range.setStart(spacer, 1);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  handleNoteContentChange();
+};
+
+const chooseLinkSuggestion = async suggestion => {
+  hideLinkSuggestions();
+
+  if (!suggestion.create) {
+    insertNoteLink(suggestion.id, suggestion.title);
+    return;
+  }
+
+  const note = createNote(suggestion.title, '', appState.currentNote?.folderId || null);
+  insertNoteLink(note.id, note.title);
+  await add(STORES.NOTES, note);
+  await refreshNotesList();
+  resolveNoteLinks(document.getElementById('noteBody'));
+};
+
+const handleLinkSuggestionKeydown = event => {
+  const suggestions = appState.linkSuggestions;
+  if (suggestions.length === 0) return;
+
+  const moves = { ArrowDown: 1, ArrowUp: -1 };
+  if (moves[event.key]) {
+    event.preventDefault();
+    const activeIndex = (appState.activeLinkSuggestion + moves[event.key] + suggestions.length) % suggestions.length;
+    setState({ activeLinkSuggestion: activeIndex });
+    renderLinkSuggestions(suggestions, activeIndex);
+  } else if (event.key === 'Enter' || event.key === 'Tab') {
+    event.preventDefault();
+    chooseLinkSuggestion(suggestions[appState.activeLinkSuggestion]);
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    hideLinkSuggestions();
+  }
+};
+
+const handleNoteLinkClick = async event => {
+  const link = event.target.closest('a.note-link');
+  if (!link) return;
+  event.preventDefault();
+
+  const noteId = link.dataset.noteId;
+  if (appState.notes.some(note => note.id === noteId)) {
+    await handleNoteSelect(noteId);
+    return;
+  }
+
+  const trashedNote = appState.trashedNotes.find(note => note.id === noteId);
+  if (trashedNote) {
+    if (window.confirm(`La note « ${trashedNote.title} » est dans la corbeille. La restaurer ?`)) {
+      await handleRestoreFromTrash('note', noteId);
+      await handleNoteSelect(noteId);
+    }
+    return;
+  }
+
+  const title = link.textContent.trim() || 'Sans titre';
+  if (!window.confirm(`La note « ${title} » n'existe pas. La créer ?`)) return;
+
+  // La nouvelle note reprend l'id du lien pour que celui-ci se résolve
+  const note = { ...createNote(title, '', appState.currentNote?.folderId || null), id: noteId };
+  await add(STORES.NOTES, note);
+  await refreshNotesList();
+  await handleNoteSelect(note.id);
+};
+
+// ===== LIST VIEWS =====
+
+const toggleListView = view => {
+  setState({ listView: appState.listView === view ? 'notes' : view });
+  renderListView();
+};
+
+const showNotesView = () => {
+  if (appState.listView === 'notes') return;
+  setState({ listView: 'notes' });
+  renderListView();
+};
+
+const handleToggleTrash = () => toggleListView('trash');
+
+const handleToggleTasks = () => toggleListView('tasks');
+
+// ===== TASKS =====
+
+const handleTaskFilterChange = event => {
+  setState({ taskFilter: event.target.value });
+  renderTasks();
+};
+
+// Cocher depuis la vue Tâches modifie la note source comme une saisie dans l'éditeur
+const handleTaskToggle = (noteId, index, checked) => {
+  const note = appState.notes.find(n => n.id === noteId);
+  if (!note) return;
+
+  const updated = updateNoteContent(note, { content: setTaskChecked(note.content, index, checked) });
+  commitNoteEdit(updated);
+  if (appState.currentNote?.id === noteId) updateEditor(updated);
+};
+
+// La case à cocher est dessinée dans la marge gauche de l'élément de liste
+const handleTaskCheckboxClick = event => {
+  const item = event.target.closest?.('li');
+  if (!item || !isTaskList(item.parentNode) || event.target !== item) return;
+  if (event.clientX >= item.getBoundingClientRect().left) return;
+
+  event.preventDefault();
+  recordUndoStep('format');
+  item.dataset.checked = String(item.dataset.checked !== 'true');
+  handleNoteContentChange();
+};
+
+// Entrée dans une tâche : la nouvelle tâche part décochée et sans échéance
+const resetNewTaskItem = event => {
+  if (event?.inputType !== 'insertParagraph') return;
+  const item = getTaskItemAtSelection();
+  if (item && !item.textContent.trim()) {
+    item.dataset.checked = 'false';
+    delete item.dataset.due;
+  }
+};
+
+// ===== INPUT RULES =====
+
+// Marqueurs Markdown tapés en début de bloc, convertis à l'espace qui les suit
+const BLOCK_INPUT_RULES = [
+  { pattern: /^#$/, apply: () => applyBlockFormat('h1') },
+  { pattern: /^##$/, apply: () => applyBlockFormat('h2') },
+  { pattern: /^###$/, apply: () => applyBlockFormat('h3') },
+  { pattern: /^>$/, apply: () => applyBlockFormat('blockquote') },
+  { pattern: /^[-*+]$/, apply: () => toggleList('ul') },
+  { pattern: /^\d+[.)]$/, apply: () => toggleList('ol') },
+  {
+    // « [ ] » ou « [x] » crée une tâche, y compris dans une liste existante
+    pattern: /^\[([ xX]?)\]$/,
+    inListItem: true,
+    apply: match => {
+      toggleTaskList();
+      const item = getTaskItemAtSelection();
+      if (item) item.dataset.checked = String(match[1].toLowerCase() === 'x');
+    }
+  }
+];
+
+// Marqueurs autour du texte, convertis au caractère qui ferme le marqueur
+const INLINE_INPUT_RULES = [
+  { pattern: /\*\*(\S(?:[^*]*\S)?)\*\*$/, tagName: 'strong' },
+  { pattern: /(?<![\w_])_(\S(?:[^_]*\S)?)_$/, tagName: 'em' },
+  { pattern: /~~(\S(?:[^~]*\S)?)~~$/, tagName: 's' },
+  { pattern: /`([^`]+)`$/, tagName: 'code' }
+];
+
+const BLOCK_INPUT_RULE_TAGS = ['P', 'DIV'];
+
+const applyBlockInputRule = (range, block) => {
+  const container = block || document.getElementById('noteBody');
+  const markerRange = document.createRange();
+  markerRange.setStart(container, 0);
+  markerRange.setEnd(range.startContainer, range.startOffset);
+
+  const typed = markerRange.toString();
+  if (!/[ \u00a0]$/.test(typed)) return false;
+
+  const isListItem = block?.tagName === 'LI';
+  const rule = BLOCK_INPUT_RULES.find(({ pattern, inListItem }) =>
+    (isListItem ? inListItem : !block || BLOCK_INPUT_RULE_TAGS.includes(block.tagName)) &&
+    pattern.test(typed.slice(0, -1))
+  );
+  if (!rule) return false;
+
+  // L'étape d'annulation garde les caractères tapés : Ctrl+Z revient au marqueur littéral
+  recordUndoStep('format');
+  markerRange.deleteContents();
+  if (block && !hasVisibleContent(block)) block.innerHTML = '<br>';
+
+  const caret = document.createRange();
+  caret.setStart(container, 0);
+  caret.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(caret);
+
+  rule.apply(typed.slice(0, -1).match(rule.pattern));
+  return true;
+};
+
+const applyInlineInputRule = range => {
+  const textNode = range.startContainer;
+  const textBefore = textNode.textContent.slice(0, range.startOffset);
+  if (hasParentWithTag(textNode, 'CODE')) return false;
+
+  const rule = INLINE_INPUT_RULES.find(({ pattern }) => pattern.test(textBefore));
+  if (!rule) return false;
+
+  const [marked, inner] = textBefore.match(rule.pattern);
+  const markerLength = (marked.length - inner.length) / 2;
+  const start = range.startOffset - marked.length;
+
+  recordUndoStep('format');
+  textNode.deleteData(range.startOffset - markerLength, markerLength);
+  textNode.deleteData(start, markerLength);
+
+  const innerRange = document.createRange();
+  innerRange.setStart(textNode, start);
+  innerRange.setEnd(textNode, start + inner.length);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(innerRange);
+  applyInlineStyle(rule.tagName);
+
+  // La suite de la frappe reste hors du style
+  const wrapper = hasParentWithTag(selection.getRangeAt(0).startContainer, rule.tagName);
+  if (wrapper) placeCaretAfter(wrapper);
+  return true;
+};
+
+const applyInputRules = event => {
+  if (event?.inputType !== 'insertText' || !event.data) return false;
+
+  const sel = getSelectionAndRange();
+  if (!sel || !sel.range.collapsed || sel.range.startContainer.nodeType !== Node.TEXT_NODE) return false;
+
+  const block = findParentBlock(sel.range.startContainer);
+  if (block?.tagName === 'PRE') return false;
+
+  if (event.data === ' ' && !isTableCell(block) && applyBlockInputRule(sel.range, block)) return true;
+  return applyInlineInputRule(sel.range);
+};
+
+// ===== TRASH =====
+
+const handleRestoreFromTrash = async (type, id) => {
+  const restored = type === 'folder'
+    ? restoreFolder(appState.trashedFolders, appState.trashedNotes, id, appState.folders)
+    : { folders: [], notes: [restoreNote(appState.trashedNotes.find(note => note.id === id), appState.folders)] };
+
+  await performBulkWrite([STORES.FOLDERS, STORES.NOTES], getStore => {
+    restored.folders.forEach(folder => getStore(STORES.FOLDERS).put(folder));
+    restored.notes.forEach(note => getStore(STORES.NOTES).put(note));
+  });
+
+  await refreshFolders();
+  await refreshNotesList();
+  syncCurrentFolder();
+};
+
+const deletePermanently = async roots => {
+  const { folderIds, noteIds } = planPermanentDeletion(roots, appState.trashedFolders, appState.trashedNotes);
+
+  await performBulkWrite([STORES.FOLDERS, STORES.NOTES], getStore => {
+    folderIds.forEach(id => getStore(STORES.FOLDERS).delete(id));
+    noteIds.forEach(id => getStore(STORES.NOTES).delete(id));
+  });
+
+  await refreshFolders();
+  await refreshNotesList();
+  await pruneOrphanRevisions();
+  await garbageCollectAttachments();
+};
+
+const handleDeleteForever = async (type, id) => {
+  const root = getTrashRoots(appState.trashedFolders, appState.trashedNotes)
+    .find(item => item.type === type && item.record.id === id);
+  if (!root) return;
+
+  const name = type === 'folder' ? root.record.name : root.record.title;
+  if (!window.confirm(`Supprimer définitivement « ${name} » ? Cette action est irréversible.`)) return;
+
+  await deletePermanently([root]);
+};
+
+const handleEmptyTrash = async () => {
+  const roots = getTrashRoots(appState.trashedFolders, appState.trashedNotes);
+  if (roots.length === 0) return;
+  if (!window.confirm(`Vider la corbeille (${roots.length} élément(s)) ? Cette action est irréversible.`)) return;
+
+  await deletePermanently(roots);
+};
+
+const handleTrashRetentionChange = async event => {
+  const retentionDays = Number(event.target.value);
+  setState({ trashRetentionDays: retentionDays });
+  await saveSetting('trashRetentionDays', retentionDays);
+  await purgeExpiredTrash();
+};
+
+const purgeExpiredTrash = async () => {
+  const expired = getExpiredTrashRoots(
+    getTrashRoots(appState.trashedFolders, appState.trashedNotes),
+    appState.trashRetentionDays
+  );
+  if (expired.length > 0) await deletePermanently(expired);
+  return expired.length;
+};
+
+// ===== HISTORY PANEL =====
+
+const CURRENT_VERSION = 'current';
+
+const formatRevisionDate = timestamp => new Date(timestamp).toLocaleString('fr-FR', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const getHistoryVersion = versionId => versionId === CURRENT_VERSION
+  ? appState.currentNote
+  : appState.historyRevisions.find(revision => revision.id === versionId);
+
+const renderHistoryList = () => {
+  const list = document.getElementById('historyList');
+  const compareSelect = document.getElementById('historyCompareSelect');
+  const versions = [
+    { id: CURRENT_VERSION, label: 'Version actuelle' },
+    ...appState.historyRevisions.map(revision => ({ id: revision.id, label: formatRevisionDate(revision.created) }))
+  ];
+
+  list.innerHTML = '';
+  versions.forEach(version => {
+    const item = document.createElement('li');
+    item.className = 'history__item';
+    if (version.id === appState.historySelectedId) item.classList.add('history__item--active');
+    item.textContent = version.label;
+    item.addEventListener('click', () => handleHistoryVersionSelect(version.id));
+    list.appendChild(item);
+  });
+
+  compareSelect.innerHTML = versions
+    .map(version => `<option value="${escapeHTML(version.id)}">${escapeHTML(version.label)}</option>`)
+    .join('');
+  compareSelect.value = appState.historyCompareId;
+};
+
+const getVersionTime = versionId => versionId === CURRENT_VERSION
+  ? Infinity
+  : getHistoryVersion(versionId)?.created ?? 0;
+
+// Le diff va toujours de la plus ancienne des deux versions vers la plus récente
+const renderHistoryDiff = () => {
+  const [olderId, newerId] = [appState.historySelectedId, appState.historyCompareId]
+    .sort((a, b) => getVersionTime(a) - getVersionTime(b));
+  const older = getHistoryVersion(olderId);
+  const newer = getHistoryVersion(newerId);
+  const titleElement = document.getElementById('historyDiffTitle');
+  const diffElement = document.getElementById('historyDiff');
+
+  document.getElementById('restoreVersionBtn').disabled = appState.historySelectedId === CURRENT_VERSION;
+
+  if (appState.historyRevisions.length === 0 || !older || !newer) {
+    titleElement.textContent = '';
+    diffElement.textContent = 'Aucune version enregistrée pour le moment.';
+    return;
+  }
+
+  titleElement.innerHTML = renderDiffHTML(diffText(older.title, newer.title));
+  diffElement.innerHTML = renderDiffHTML(diffText(htmlToMarkdown(older.content), htmlToMarkdown(newer.content)));
+};
+
+const handleOpenHistory = async () => {
+  if (!appState.currentNote) return;
+
+  await flushPendingSaves();
+  const revisions = await getNoteRevisions(appState.currentNote.id);
+  setState({
+    historyRevisions: revisions,
+    historySelectedId: revisions[0]?.id ?? CURRENT_VERSION,
+    historyCompareId: CURRENT_VERSION
+  });
+  renderHistoryList();
+  renderHistoryDiff();
+  openModal('historyModal');
+};
+
+const handleHistoryVersionSelect = versionId => {
+  setState({ historySelectedId: versionId });
+  renderHistoryList();
+  renderHistoryDiff();
+};
+
+const handleHistoryCompareChange = event => {
+  setState({ historyCompareId: event.target.value });
+  renderHistoryDiff();
+};
+
+// La restauration est elle-même versionnée : l'état remplacé reste dans l'historique
+const handleRestoreVersion = async () => {
+  const revision = getHistoryVersion(appState.historySelectedId);
+  if (!appState.currentNote || !revision || appState.historySelectedId === CURRENT_VERSION) return;
+
+  await saveRevision(appState.currentNote);
+  const restored = updateNoteContent(appState.currentNote, {
+    title: revision.title,
+    content: revision.content,
+    tags: computeNoteTags(appState.currentNote.manualTags, revision.content)
+  });
+  commitNoteEdit(restored);
+  await flushPendingSaves();
+  await saveRevision(restored);
+
+  updateEditor(restored);
+  closeModal('historyModal');
+};
+
+// ===== MOVING NOTES =====
+
+const handleMoveNotes = async (noteIds, folderId) => {
+  await flushPendingSaves();
+  const movedNotes = moveNotesToFolder(appState.notes, noteIds, folderId);
+
+  if (movedNotes.length > 0) {
+    await performBulkWrite([STORES.NOTES], getStore => {
+      movedNotes.forEach(note => getStore(STORES.NOTES).put(note));
+    });
+    movedNotes.forEach(note => {
+      replaceNoteInState(note);
+      addToSearchIndex(searchIndex, note);
+    });
+  }
+
+  clearNoteSelection();
+  if (appState.currentNote) updateMoveNoteSelect();
+};
+
+const handleMoveNoteSelectChange = async event => {
+  const value = event.target.value;
+  event.target.value = '';
+  if (!value) return;
+
+  const noteIds = appState.selectedNoteIds.length > 0
+    ? appState.selectedNoteIds
+    : [appState.currentNote?.id].filter(Boolean);
+  await handleMoveNotes(noteIds, value === MOVE_TO_NO_FOLDER ? null : value);
+};
+
+const MOVE_TO_NO_FOLDER = '__none__';
+
+const renderMoveNoteSelect = () => {
+  const select = document.getElementById('moveNoteSelect');
+  const groups = PARA_CATEGORIES.map(category => {
+    const options = [];
+    const addOptions = (parentId, depth) => {
+      getChildFolders(appState.folders, parentId, category).forEach(folder => {
+        options.push(`<option value="${escapeHTML(folder.id)}">${'\u00a0\u00a0'.repeat(depth)}${escapeHTML(folder.name)}</option>`);
+        addOptions(folder.id, depth + 1);
+      });
+    };
+    addOptions(null, 0);
+    return options.length > 0
+      ? `<optgroup label="${PARA_ICONS[category]} ${PARA_LABELS[category]}">${options.join('')}</optgroup>`
+      : '';
+  });
+
+  select.innerHTML = [
+    '<option value="">📂 Déplacer vers…</option>',
+    `<option value="${MOVE_TO_NO_FOLDER}">Sans dossier</option>`,
+    ...groups
+  ].join('');
+  updateMoveNoteSelect();
+};
+
+const updateMoveNoteSelect = () => {
+  const select = document.getElementById('moveNoteSelect');
+  const count = appState.selectedNoteIds.length;
+  select.disabled = !appState.currentNote && count === 0;
+  select.options[0].textContent = count > 1 ? `📂 Déplacer ${count} notes vers…` : '📂 Déplacer vers…';
+};
+
+// ===== NOTE SELECTION =====
+
+const handleNoteClick = (event, noteId) => {
+  if (event.ctrlKey || event.metaKey) {
+    toggleNoteSelection(noteId);
+  } else if (event.shiftKey) {
+    selectNoteRange(noteId);
+  } else {
+    clearNoteSelection();
+    handleNoteSelect(noteId);
+  }
+};
+
+const setNoteSelection = (noteIds, anchorId) => {
+  setState({ selectedNoteIds: noteIds, selectionAnchorId: anchorId });
+  renderNotesList(getFilteredAndSortedNotes());
+  renderSelectionBar();
+  updateMoveNoteSelect();
+};
+
+const toggleNoteSelection = noteId => {
+  // La note ouverte fait partie de la première sélection
+  const current = appState.selectedNoteIds.length === 0 && appState.currentNote
+    ? [appState.currentNote.id]
+    : appState.selectedNoteIds;
+  const selected = current.includes(noteId)
+    ? current.filter(id => id !== noteId)
+    : [...current, noteId];
+  setNoteSelection(selected, noteId);
+};
+
+const selectNoteRange = noteId => {
+  const visibleIds = getFilteredAndSortedNotes().map(note => note.id);
+  const anchorId = appState.selectionAnchorId || appState.currentNote?.id || noteId;
+  const [start, end] = [visibleIds.indexOf(anchorId), visibleIds.indexOf(noteId)].sort((a, b) => a - b);
+  setNoteSelection(start === -1 ? [noteId] : visibleIds.slice(start, end + 1), anchorId);
+};
+
+const clearNoteSelection = () => {
+  setNoteSelection([], null);
+};
+
+const renderSelectionBar = () => {
+  const bar = document.getElementById('selectionBar');
+  const count = appState.selectedNoteIds.length;
+  bar.classList.toggle('hidden', count === 0);
+  document.getElementById('selectionCount').textContent = `${count} note(s) sélectionnée(s)`;
+};
+
+// ===== TREE DRAG AND DROP =====
+
+const FOLDER_DRAG_TYPE = 'application/x-transient-folder';
+const NOTE_DRAG_TYPE = 'application/x-transient-notes';
+
+// target : { folderId, category } — folderId null désigne la racine de la catégorie
+const addTreeDropTarget = (element, target) => {
+  const activeClass = 'tree-nav__drop-target';
+  const accepts = event => event.dataTransfer.types.includes(FOLDER_DRAG_TYPE) ||
+    event.dataTransfer.types.includes(NOTE_DRAG_TYPE);
+
+  element.addEventListener('dragover', event => {
+    if (!accepts(event)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = 'move';
+    element.classList.add(activeClass);
+  });
+
+  element.addEventListener('dragleave', () => element.classList.remove(activeClass));
+
+  element.addEventListener('drop', event => {
+    element.classList.remove(activeClass);
+    if (!accepts(event)) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const folderId = event.dataTransfer.getData(FOLDER_DRAG_TYPE);
+    if (folderId) {
+      handleFolderDrop(folderId, { parentId: target.folderId, category: target.category });
+    } else {
+      handleNotesDrop(JSON.parse(event.dataTransfer.getData(NOTE_DRAG_TYPE)), target);
+    }
+  });
+};
+
+// Déposer sur l'en-tête d'une catégorie range les notes dans son dossier par défaut
+const handleNotesDrop = async (noteIds, { folderId, category }) => {
+  const targetFolderId = folderId || (await getOrCreateDefaultFolder(category)).id;
+  await handleMoveNotes(noteIds, targetFolderId);
+};
+
+const handleFolderDrop = async (folderId, { parentId, category }) => {
+  if (folderId === parentId) return;
+  if (!canMoveFolder(appState.folders, folderId, parentId)) {
+    alert('Impossible de déplacer un dossier dans l\'un de ses sous-dossiers');
+    return;
+  }
+  await saveFolders(moveFolder(appState.folders, folderId, { parentId, category }));
+};
+
+// ===== MANUAL ORDER =====
+
+// Le glisser-déposer ne réordonne la liste que dans le tri manuel, hors recherche classée par pertinence
+const isManualOrderActive = () =>
+  appState.sortBy === 'manual' && appState.listView === 'notes' &&
+  !(appState.searchQuery.trim() && isRankedQuery(getParsedSearchQuery()));
+
+const NOTE_DROP_CLASSES = ['note-item--drop-before', 'note-item--drop-after'];
+
+// La moitié haute de la note cible insère avant, la moitié basse après
+const isDropAfter = (element, event) => {
+  const rect = element.getBoundingClientRect();
+  return event.clientY > rect.top + rect.height / 2;
+};
+
+const addNoteDropTarget = (element, noteId) => {
+  element.addEventListener('dragover', event => {
+    if (!event.dataTransfer.types.includes(NOTE_DRAG_TYPE)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    const after = isDropAfter(element, event);
+    element.classList.toggle('note-item--drop-before', !after);
+    element.classList.toggle('note-item--drop-after', after);
+  });
+
+  element.addEventListener('dragleave', () => element.classList.remove(...NOTE_DROP_CLASSES));
+
+  element.addEventListener('drop', event => {
+    element.classList.remove(...NOTE_DROP_CLASSES);
+    if (!event.dataTransfer.types.includes(NOTE_DRAG_TYPE)) return;
+    event.preventDefault();
+    reorderNotes(JSON.parse(event.dataTransfer.getData(NOTE_DRAG_TYPE)), noteId, isDropAfter(element, event));
+  });
+};
+
+// Les ordres des dossiers supprimés définitivement sont oubliés
+const pruneManualOrders = manualOrders => {
+  const folderIds = new Set([...appState.folders, ...appState.trashedFolders].map(folder => folder.id));
+  return Object.fromEntries(Object.entries(manualOrders)
+    .filter(([key]) => key === MANUAL_ORDER_ALL_KEY || folderIds.has(key)));
+};
+
+// L'ordre enregistré couvre toutes les notes du dossier, pas seulement celles qu'un filtre laisse visibles
+const reorderNotes = async (noteIds, targetId, after) => {
+  const key = getManualOrderKey(appState.currentFolder);
+  const folderNotes = appState.currentFolder
+    ? filterNotesByFolders(getDescendantFolderIds(appState.folders, appState.currentFolder.id), appState.notes)
+    : appState.notes;
+  const orderedIds = sortNotesManually(appState.manualOrders[key] || [], folderNotes).map(note => note.id);
+  const movedIds = orderedIds.filter(id => noteIds.includes(id) && id !== targetId);
+  if (movedIds.length === 0) return;
+
+  const manualOrders = {
+    ...pruneManualOrders(appState.manualOrders),
+    [key]: moveIdsInOrder(orderedIds, movedIds, targetId, after)
+  };
+  setState({ manualOrders });
+  renderNotesList(getFilteredAndSortedNotes());
+  try {
+    await saveSetting('manualOrders', manualOrders);
+  } catch (error) {
+    console.error('❌ Error saving note order:', error);
+  }
+};
+
+// ===== IMAGE HANDLING =====
+
+// attachmentId -> object URL, révoqués lors du nettoyage
+const attachmentUrlCache = new Map();
+
+const getAttachmentUrl = async attachmentId => {
+  if (!attachmentUrlCache.has(attachmentId)) {
+    const attachment = await getById(STORES.ATTACHMENTS, attachmentId);
+    if (!attachment) return null;
+    attachmentUrlCache.set(attachmentId, URL.createObjectURL(attachment.blob));
+  }
+  return attachmentUrlCache.get(attachmentId);
+};
+
+// Appelée sans attendre le résultat : une pièce jointe illisible (erreur IndexedDB, déchiffrement)
+// s'affiche comme introuvable au lieu de laisser une promesse rejetée
+const resolveAttachmentImages = container => Promise.all(
+  Array.from(container.querySelectorAll('img[data-attachment-id]')).map(async img => {
+    const url = await getAttachmentUrl(img.dataset.attachmentId).catch(error => {
+      console.error('❌ Error loading attachment:', error);
+      return null;
+    });
+    if (url) {
+      img.src = url;
+    } else {
+      img.alt = img.alt || 'Image introuvable';
+    }
+  })
+);
+
+const revokeAttachmentUrl = attachmentId => {
+  if (attachmentUrlCache.has(attachmentId)) {
+    URL.revokeObjectURL(attachmentUrlCache.get(attachmentId));
+    attachmentUrlCache.delete(attachmentId);
+  }
+};
+
+const clearAttachmentUrlCache = () => {
+  Array.from(attachmentUrlCache.keys()).forEach(revokeAttachmentUrl);
+};
+
+// Supprime les pièces jointes qu'aucune note ne référence plus
+const garbageCollectAttachments = async () => {
+  const notes = await getAll(STORES.NOTES);
+  const revisions = await getAll(STORES.REVISIONS);
+  // Une image retirée d'une note reste utile tant qu'une ancienne version la référence
+  const referencedIds = new Set([...notes, ...revisions].flatMap(record => collectAttachmentIds(record.content)));
+  const attachments = await getAll(STORES.ATTACHMENTS);
+  const orphanIds = attachments
+    .filter(attachment => !referencedIds.has(attachment.id))
+    .filter(attachment => Date.now() - attachment.created > ATTACHMENT_GC_GRACE_MS)
+    .map(attachment => attachment.id);
+
+  if (orphanIds.length > 0) {
+    await performBulkWrite([STORES.ATTACHMENTS], getStore => {
+      orphanIds.forEach(id => getStore(STORES.ATTACHMENTS).delete(id));
+    });
+    orphanIds.forEach(revokeAttachmentUrl);
+  }
+  return orphanIds.length;
+};
+
+const insertImageAttachment = async file => {
+  const attachment = createAttachment(file);
+  await add(STORES.ATTACHMENTS, attachment);
+  attachmentUrlCache.set(attachment.id, URL.createObjectURL(file));
+
+  const img = document.createElement('img');
+  img.dataset.attachmentId = attachment.id;
+  img.src = attachmentUrlCache.get(attachment.id);
+
+  const bodyElement = document.getElementById('noteBody');
+  recordUndoStep('image');
+  bodyElement.appendChild(img);
+  handleNoteContentChange();
+};
+
+const handleImageDrop = event => {
+  event.preventDefault();
+  event.stopPropagation();
+
+  const bodyElement = document.getElementById('noteBody');
+  bodyElement.classList.remove('editor__body--drop-active');
+
+  const files = Array.from(event.dataTransfer.files);
+  const imageFiles = files.filter(file => file.type.startsWith('image/'));
+
+  imageFiles.forEach(insertImageAttachment);
+};
+
+const handleImagePaste = event => {
+  const items = Array.from(event.clipboardData.items);
+  const imageItems = items.filter(item => item.type.startsWith('image/'));
+
+  if (imageItems.length > 0) {
+    event.preventDefault();
+    imageItems.forEach(item => insertImageAttachment(item.getAsFile()));
+  }
+};
+
+// Insère des blocs à la position du curseur en coupant le bloc courant en deux
+const insertBlocksAtRange = (range, fragment) => {
+  const bodyElement = document.getElementById('noteBody');
+  const blocks = Array.from(fragment.childNodes);
+
+  // Un seul paragraphe collé se fond dans la ligne courante
+  if (blocks.length === 1 && blocks[0].tagName === 'P') {
+    const inlineNodes = Array.from(blocks[0].childNodes);
+    const inlineFragment = document.createDocumentFragment();
+    inlineNodes.forEach(node => inlineFragment.appendChild(node));
+    range.insertNode(inlineFragment);
+    return inlineNodes[inlineNodes.length - 1];
+  }
+
+  let topBlock = range.startContainer;
+  while (topBlock && topBlock.parentNode !== bodyElement) topBlock = topBlock.parentNode;
+
+  if (!topBlock || topBlock === bodyElement) {
+    const lastBlock = blocks[blocks.length - 1];
+    range.insertNode(fragment);
+    return lastBlock;
+  }
+
+  const tailRange = document.createRange();
+  tailRange.setStart(range.startContainer, range.startOffset);
+  tailRange.setEndAfter(topBlock);
+  const tail = tailRange.extractContents();
+
+  const lastBlock = blocks[blocks.length - 1];
+  topBlock.after(fragment);
+  if (hasVisibleContent(tail)) lastBlock.after(tail);
+  if (!hasVisibleContent(topBlock)) topBlock.remove();
+  return lastBlock;
+};
+
+const handleHTMLPaste = event => {
+  if (event.defaultPrevented) return;
+  const html = event.clipboardData.getData('text/html');
+  const sel = getSelectionAndRange();
+  if (!html || !sel) return;
+
+  event.preventDefault();
+  recordUndoStep('paste');
+
+  const { content, attachments } = extractInlineImages(sanitizeNoteHTML(html));
+  attachments.forEach(attachment => {
+    attachmentUrlCache.set(attachment.id, URL.createObjectURL(attachment.blob));
+  });
+
+  sel.range.deleteContents();
+  const lastNode = insertBlocksAtRange(sel.range, parseHTMLTemplate(content).content);
+
+  if (lastNode) {
+    const range = document.createRange();
+    range.setStartAfter(lastNode.nodeType === Node.ELEMENT_NODE && isBlockNode(lastNode) ? lastNode.lastChild || lastNode : lastNode);
+    range.collapse(true);
+    sel.selection.removeAllRanges();
+    sel.selection.addRange(range);
+  }
+
+  const bodyElement = document.getElementById('noteBody');
+  resolveAttachmentImages(bodyElement);
+  resolveNoteLinks(bodyElement);
+  handleNoteContentChange();
+
+  if (attachments.length > 0) {
+    performBulkWrite([STORES.ATTACHMENTS], getStore => {
+      attachments.forEach(attachment => getStore(STORES.ATTACHMENTS).add(attachment));
+    }).catch(error => console.error('❌ Error saving pasted images:', error));
+  }
+};
+
+const handleDragOver = event => {
+  event.preventDefault();
+  const bodyElement = document.getElementById('noteBody');
+  bodyElement.classList.add('editor__body--drop-active');
+};
+
+const handleDragLeave = event => {
+  event.preventDefault();
+  const bodyElement = document.getElementById('noteBody');
+  bodyElement.classList.remove('editor__body--drop-active');
+};
+
+// ===== LINKS, CODE AND TABLES =====
+
+const URL_ONLY_PATTERN = /^(https?:\/\/|mailto:)\S+$/i;
+
+// Dans l'éditeur un clic place le curseur ; Ctrl+clic ouvre le lien
+const handleExternalLinkClick = event => {
+  const link = event.target.closest('a[href]:not(.note-link)');
+  if (!link) return;
+  event.preventDefault();
+  if (event.ctrlKey || event.metaKey) window.open(link.href, '_blank', 'noopener');
+};
+
+// Une adresse collée seule devient un lien, sur la sélection si elle n'est pas vide
+const handleUrlPaste = event => {
+  if (event.defaultPrevented) return;
+  const text = event.clipboardData.getData('text/plain').trim();
+  const sel = getSelectionAndRange();
+  if (!sel || !URL_ONLY_PATTERN.test(text) || !isSafeLinkUrl(text)) return;
+  if (hasParentWithTag(sel.range.startContainer, 'PRE') || findExternalLink(sel.range.commonAncestorContainer)) return;
+
+  event.preventDefault();
+  recordUndoStep('paste');
+  insertLinkAtRange(sel.range, text);
+  handleNoteContentChange();
+};
+
+// Dans un bloc de code, on colle toujours du texte brut
+const handleCodePaste = event => {
+  if (event.defaultPrevented) return;
+  const codeBlock = getCurrentCodeBlock();
+  if (!codeBlock) return;
+
+  event.preventDefault();
+  recordUndoStep('paste');
+  insertCodeText(codeBlock, event.clipboardData.getData('text/plain').replace(/\r\n?/g, '\n'));
+  handleNoteContentChange();
+};
+
+const handleCodeBlockKeydown = event => {
+  if (event.defaultPrevented || event.isComposing) return;
+  const codeBlock = getCurrentCodeBlock();
+  if (!codeBlock) return;
+
+  if (event.key === 'Tab' && !event.shiftKey) {
+    event.preventDefault();
+    recordUndoStep('typing');
+    insertCodeText(codeBlock, '  ');
+    handleNoteContentChange();
+  } else if (event.key === 'Enter' && !event.ctrlKey && !event.metaKey) {
+    event.preventDefault();
+    recordUndoStep('format');
+    const caret = getCaretOffsetIn(codeBlock);
+    const text = getCodeText(codeBlock);
+    const isLastEmptyLine = text.slice(0, caret).endsWith('\n') && !text.slice(caret).replace(/^\n/, '');
+    if (isLastEmptyLine && !event.shiftKey) exitCodeBlock(codeBlock);
+    else insertCodeText(codeBlock, '\n');
+    handleNoteContentChange();
+  }
+};
+
+const handleTableKeydown = event => {
+  if (event.defaultPrevented) return;
+  const cell = getCurrentTableCell();
+  if (!cell) return;
+
+  if (event.key === 'Tab') {
+    event.preventDefault();
+    const cells = cell.closest('table').querySelectorAll('th, td');
+    const isLastCell = !event.shiftKey && cell === cells[cells.length - 1];
+    if (isLastCell) recordUndoStep('format');
+    moveToAdjacentCell(cell, event.shiftKey ? -1 : 1);
+    if (isLastCell) handleNoteContentChange();
+  } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+    event.preventDefault();
+    handleToolbarAction('tableRowAdd');
+  }
+};
+
+// Bloc de code courant, mémorisé pour le sélecteur de langue qui prend le focus
+let activeCodeBlock = null;
+
+const showEditorContextTools = (codeBlock, table) => {
+  activeCodeBlock = codeBlock;
+  document.getElementById('codeTools').classList.toggle('hidden', !codeBlock);
+  document.getElementById('tableTools').classList.toggle('hidden', !table);
+  if (codeBlock) document.getElementById('codeLanguageSelect').value = codeBlock.dataset.language || '';
+};
+
+const handleEditorSelectionChange = () => {
+  const sel = getSelectionAndRange();
+  const bodyElement = document.getElementById('noteBody');
+  if (!sel || !bodyElement.contains(sel.range.startContainer)) return;
+
+  showEditorContextTools(
+    hasParentWithTag(sel.range.startContainer, 'PRE'),
+    hasParentWithTag(sel.range.startContainer, 'TABLE')
+  );
+};
+
+const renderCodeLanguageSelect = () => {
+  document.getElementById('codeLanguageSelect').innerHTML = [
+    '<option value="">Texte brut</option>',
+    ...Object.entries(CODE_LANGUAGES).map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+  ].join('');
+};
+
+const handleCodeLanguageChange = event => {
+  if (!activeCodeBlock || !activeCodeBlock.isConnected) return;
+  recordUndoStep('format');
+  setCodeBlockLanguage(activeCodeBlock, event.target.value);
+  handleNoteContentChange();
+};
+
+// ===== TOOLBAR ACTIONS =====
+
+const handleToolbarAction = action => {
+  const formatFn = formatActions[action];
+  if (formatFn) {
+    recordUndoStep('format');
+    formatFn();
+    handleNoteContentChange();
+  }
+};
+
+// ===== UNDO / REDO =====
+
+// Le moteur de mise en forme modifie le DOM sans passer par la pile native du navigateur :
+// on garde nos propres instantanés (HTML + sélection) avant chaque modification.
+// noteId -> { undo, redo, lastType, lastTime }
+const undoHistories = new Map();
+
+const getNodePath = (root, node) => {
+  const path = [];
+  let current = node;
+  while (current && current !== root && current.parentNode) {
+    path.unshift(Array.prototype.indexOf.call(current.parentNode.childNodes, current));
+    current = current.parentNode;
+  }
+  return current === root ? path : null;
+};
+
+const getNodeAtPath = (root, path) =>
+  path.reduce((node, index) => node?.childNodes[index] ?? null, root);
+
+const saveEditorSelection = root => {
+  const sel = getSelectionAndRange();
+  if (!sel) return null;
+
+  const startPath = getNodePath(root, sel.range.startContainer);
+  const endPath = getNodePath(root, sel.range.endContainer);
+  if (!startPath || !endPath) return null;
+
+  return {
+    start: { path: startPath, offset: sel.range.startOffset },
+    end: { path: endPath, offset: sel.range.endOffset }
+  };
+};
+
+const restoreEditorSelection = (root, saved) => {
+  if (!saved) return;
+
+  const toPoint = ({ path, offset }) => {
+    const node = getNodeAtPath(root, path);
+    if (!node) return null;
+    const length = node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length;
+    return { node, offset: Math.min(offset, length) };
+  };
+  const start = toPoint(saved.start);
+  const end = toPoint(saved.end);
+  if (!start || !end) return;
+
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+const getUndoHistory = noteId => {
+  if (!undoHistories.has(noteId)) {
+    undoHistories.set(noteId, { undo: [], redo: [], lastType: null, lastTime: 0 });
+  }
+  return undoHistories.get(noteId);
+};
+
+const captureEditorState = () => {
+  const bodyElement = document.getElementById('noteBody');
+  return { html: bodyElement.innerHTML, selection: saveEditorSelection(bodyElement) };
+};
+
+// À appeler juste avant de modifier l'éditeur ; la frappe continue est regroupée en une étape
+const recordUndoStep = type => {
+  if (!appState.currentNote) return;
+
+  const history = getUndoHistory(appState.currentNote.id);
+  const now = Date.now();
+  const coalesce = type === 'typing' && history.lastType === 'typing' &&
+    now - history.lastTime < UNDO_COALESCE_MS;
+
+  history.lastType = type;
+  history.lastTime = now;
+  if (coalesce) return;
+
+  history.undo.push(captureEditorState());
+  if (history.undo.length > MAX_UNDO_STEPS) history.undo.shift();
+  history.redo = [];
+  updateUndoButtons();
+};
+
+const applyEditorState = state => {
+  const bodyElement = document.getElementById('noteBody');
+  bodyElement.innerHTML = state.html;
+  resolveAttachmentImages(bodyElement);
+  resolveNoteLinks(bodyElement);
+  restoreEditorSelection(bodyElement, state.selection);
+  handleNoteContentChange();
+};
+
+const moveUndoStep = (from, to) => {
+  if (!appState.currentNote) return;
+
+  const history = getUndoHistory(appState.currentNote.id);
+  const state = history[from].pop();
+  if (!state) return;
+
+  history[to].push(captureEditorState());
+  // Une frappe après une annulation ouvre une nouvelle étape
+  history.lastType = null;
+  hideLinkSuggestions();
+  applyEditorState(state);
+  updateUndoButtons();
+};
+
+const handleUndo = () => moveUndoStep('undo', 'redo');
+
+const handleRedo = () => moveUndoStep('redo', 'undo');
+
+const updateUndoButtons = () => {
+  const history = appState.currentNote ? undoHistories.get(appState.currentNote.id) : null;
+  document.getElementById('undoBtn').disabled = !history?.undo.length;
+  document.getElementById('redoBtn').disabled = !history?.redo.length;
+};
+
+const UNDO_INPUT_TYPES = {
+  insertText: 'typing',
+  insertReplacementText: 'typing',
+  deleteContentBackward: 'typing',
+  deleteContentForward: 'typing',
+  insertFromPaste: 'paste',
+  insertFromDrop: 'paste'
+};
+
+// beforeinput arrive avant la modification du DOM : c'est là qu'on prend l'instantané
+const handleEditorBeforeInput = event => {
+  if (event.inputType === 'historyUndo' || event.inputType === 'historyRedo') {
+    event.preventDefault();
+    if (event.inputType === 'historyUndo') handleUndo(); else handleRedo();
+    return;
+  }
+  recordUndoStep(UNDO_INPUT_TYPES[event.inputType] || 'edit');
+};
+
+// ===== TREE NAVIGATION TOGGLE =====
+
+const handleTreeToggle = event => {
+  const header = event.currentTarget;
+  const collapsed = header.classList.toggle('tree-nav__header--collapsed');
+  const { category } = header.dataset;
+  setState({
+    collapsedCategories: collapsed
+      ? [...appState.collapsedCategories, category]
+      : appState.collapsedCategories.filter(c => c !== category)
+  });
+};
+
+const renderCollapsedCategories = () => {
+  document.querySelectorAll('.tree-nav__header[data-category]').forEach(header => {
+    header.classList.toggle(
+      'tree-nav__header--collapsed',
+      appState.collapsedCategories.includes(header.dataset.category)
+    );
+  });
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const getFilteredAndSortedNotes = () => {
+  let notes = [...appState.notes];
+
+  // Filter by folder, subfolders included
+  if (appState.currentFolder) {
+    notes = filterNotesByFolders(getDescendantFolderIds(appState.folders, appState.currentFolder.id), notes);
+  }
+
+  // Filter by selected tags
+  if (appState.selectedTags.length > 0) {
+    notes = filterNotesByTags(appState.selectedTags, appState.tagMatchMode, notes);
+  }
+
+  // Filter by search, ranked by relevance when the query has terms
+  if (appState.searchQuery.trim()) {
+    notes = searchNotes(searchIndex, appState.searchQuery, appState.folders, notes);
+    if (isRankedQuery(getParsedSearchQuery())) return notes;
+  }
+
+  // Sort
+  switch (appState.sortBy) {
+    case 'created':
+      notes = sortNotesByCreated(notes);
+      break;
+    case 'title':
+      notes = sortNotesByTitle(notes);
+      break;
+    case 'manual':
+      notes = sortNotesManually(appState.manualOrders[getManualOrderKey(appState.currentFolder)] || [], notes);
+      break;
+    case 'modified':
+    default:
+      notes = sortNotesByModified(notes);
+  }
+
+  return pinNotesFirst(notes);
+};
+
+const refreshNotesList = async () => {
+  await flushPendingSaves();
+  const { active, trashed } = partitionTrashed((await getAll(STORES.NOTES)).map(normalizeNote));
+  syncSearchIndex(searchIndex, active);
+  setState({ notes: active, trashedNotes: trashed });
+  renderNotesList(getFilteredAndSortedNotes());
+  renderTagList();
+  renderFavorites();
+  renderTrash();
+  renderTasks();
+};
+
+const refreshFolders = async () => {
+  const { active: folders, trashed } = partitionTrashed(await getAll(STORES.FOLDERS));
+  setState({ folders, trashedFolders: trashed });
+  renderFolders(folders);
+  renderMoveNoteSelect();
+};
+
+// ===== NOTE FLAGS =====
+
+// Boutons bascule de la barre d'outils, chacun reflétant un drapeau de la note ouverte
+const NOTE_FLAG_BUTTONS = {
+  pinBtn: note => Boolean(note.pinned),
+  favoriteBtn: note => Boolean(note.favorite),
+  templateBtn: isTemplate
+};
+
+const renderNoteFlags = note => {
+  Object.entries(NOTE_FLAG_BUTTONS).forEach(([buttonId, isSet]) => {
+    const button = document.getElementById(buttonId);
+    const pressed = Boolean(note && isSet(note));
+    button.disabled = !note;
+    button.classList.toggle('toolbar__button--pressed', pressed);
+    button.setAttribute('aria-pressed', String(pressed));
+  });
+};
+
+const toggleNoteFlag = flag => {
+  const note = appState.currentNote;
+  if (!note) return;
+
+  commitNoteEdit(updateNoteFlags(note, { [flag]: !note[flag] }));
+  renderNoteFlags(appState.currentNote);
+};
+
+const handleTogglePin = () => toggleNoteFlag('pinned');
+
+const handleToggleFavorite = () => toggleNoteFlag('favorite');
+
+// ===== TEMPLATES =====
+
+const handleToggleTemplate = () => {
+  if (!appState.currentNote) return;
+
+  toggleNoteFlag('isTemplate');
+  renderTasks();
+};
+
+// Catégorie PARA visée par la fenêtre de choix, null pour le dossier courant
+let templatePickerCategory = null;
+
+// Sans modèle, la note vide est créée directement
+const openNewNotePicker = (category = null) => {
+  const templates = getTemplates(appState.notes);
+  if (templates.length === 0) return category ? handleNewNoteInCategory(category) : handleNewNote();
+
+  templatePickerCategory = category;
+  renderTemplatePicker(templates, category);
+  openModal('templatePickerModal');
+  document.querySelector('#templatePickerList button')?.focus();
+};
+
+const handleTemplatePick = event => {
+  const button = event.target.closest('[data-template-id]');
+  if (!button) return;
+
+  closeModal('templatePickerModal');
+  const template = appState.notes.find(note => note.id === button.dataset.templateId) || null;
+  return templatePickerCategory
+    ? handleNewNoteInCategory(templatePickerCategory, template)
+    : handleNewNote(template);
+};
+
+// ===== JOURNAL =====
+
+const JOURNAL_SETTINGS = ['journalFolderId', 'dailyTemplateId', 'weeklyTemplateId'];
+
+// Le dossier choisi dans les préférences, sinon « Journal » dans Areas, créé au besoin
+const getJournalFolder = async () => {
+  const configured = appState.folders.find(folder =>
+    folder.id === appState.journal.journalFolderId && folder.category === 'areas');
+  if (configured) return configured;
+
+  const existing = getChildFolders(appState.folders, null, 'areas').find(folder => folder.name === JOURNAL_FOLDER_NAME);
+  if (existing) return existing;
+
+  const folder = createFolder(JOURNAL_FOLDER_NAME, 'areas');
+  await add(STORES.FOLDERS, folder);
+  await refreshFolders();
+  return folder;
+};
+
+// Ouvre la note du jour ou de la semaine, créée depuis le modèle choisi si elle n'existe pas
+const openJournalNote = async period => {
+  const { getTitle, templateSetting } = JOURNAL_PERIODS[period];
+  const date = new Date();
+  const folder = await getJournalFolder();
+  const title = getTitle(date);
+
+  let note = findJournalNote(appState.notes, folder.id, title);
+  if (!note) {
+    const template = appState.notes.find(n => n.id === appState.journal[templateSetting] && isTemplate(n));
+    note = template
+      ? createNoteFromTemplate(template, { folderId: folder.id, folderName: folder.name, title, date })
+      : createNote(title, '', folder.id);
+    await add(STORES.NOTES, note);
+  }
+
+  setState({ currentFolder: folder, listView: 'notes' });
+  renderListView();
+  renderFolders(appState.folders);
+  await refreshNotesList();
+  await handleNoteSelect(note.id);
+  document.getElementById('noteBody').focus();
+};
+
+const handleJournalSettingChange = async event => {
+  const key = event.target.dataset.setting;
+  const value = event.target.value || null;
+  setState({ journal: { ...appState.journal, [key]: value } });
+  try {
+    await saveSetting(key, value);
+  } catch (error) {
+    console.error('❌ Error saving journal settings:', error);
+  }
+};
+
+// ===== COMMANDS =====
+
+const FORMAT_COMMANDS = [
+  ['bold', 'Gras', ['Ctrl+B']],
+  ['italic', 'Italique', ['Ctrl+I']],
+  ['underline', 'Souligné', ['Ctrl+U']],
+  ['strikethrough', 'Barré', ['Ctrl+Shift+X']],
+  ['code', 'Code en ligne', ['Ctrl+E']],
+  ['link', 'Lien', ['Ctrl+L']],
+  ['h1', 'Titre 1', ['Ctrl+Alt+1']],
+  ['h2', 'Titre 2', ['Ctrl+Alt+2']],
+  ['h3', 'Titre 3', ['Ctrl+Alt+3']],
+  ['blockquote', 'Citation', []],
+  ['ul', 'Liste à puces', ['Ctrl+Shift+8']],
+  ['ol', 'Liste numérotée', ['Ctrl+Shift+7']],
+  ['tasks', 'Liste de tâches', ['Ctrl+Shift+9']],
+  ['taskDue', 'Échéance de la tâche', []],
+  ['codeBlock', 'Bloc de code', ['Ctrl+Alt+C']],
+  ['table', 'Insérer un tableau', ['Ctrl+Alt+T']],
+  ['tableRowAdd', 'Tableau : ajouter une ligne', []],
+  ['tableRowRemove', 'Tableau : supprimer la ligne', []],
+  ['tableColumnAdd', 'Tableau : ajouter une colonne', []],
+  ['tableColumnRemove', 'Tableau : supprimer la colonne', []]
+];
+
+const hasCurrentNote = () => Boolean(appState.currentNote);
+
+// Commandes de la palette (Ctrl+K) et des raccourcis configurables.
+// editor : ignorée dans les champs de saisie ; format : agit sur la sélection de l'éditeur
+const COMMANDS = [
+  { id: 'commandPalette', label: 'Palette de commandes', shortcuts: ['Ctrl+K'], run: () => toggleCommandPalette() },
+  { id: 'newNote', label: 'Nouvelle note', shortcuts: ['Ctrl+N'], run: () => openNewNotePicker() },
+  ...PARA_CATEGORIES.map((category, index) => ({
+    id: `newNote:${category}`,
+    label: `Nouvelle note dans ${PARA_LABELS[category]}`,
+    shortcuts: [`Ctrl+${index + 1}`],
+    run: () => openNewNotePicker(category)
+  })),
+  ...Object.entries(JOURNAL_PERIODS).map(([period, { label }]) => ({
+    id: `journal:${period}`,
+    label: `${label} (journal)`,
+    shortcuts: [],
+    run: () => openJournalNote(period)
+  })),
+  { id: 'togglePin', label: 'Épingler la note en tête de liste (ou non)', shortcuts: [], when: hasCurrentNote, run: () => handleTogglePin() },
+  { id: 'toggleFavorite', label: 'Ajouter la note aux favoris (ou l\'en retirer)', shortcuts: [], when: hasCurrentNote, run: () => handleToggleFavorite() },
+  { id: 'toggleTemplate', label: 'Utiliser la note comme modèle (ou non)', shortcuts: [], when: hasCurrentNote, run: () => handleToggleTemplate() },
+  { id: 'search', label: 'Rechercher', shortcuts: ['Ctrl+F'], run: () => document.getElementById('searchInput').select() },
+  { id: 'nextNote', label: 'Note suivante de la liste', shortcuts: ['Alt+ArrowDown'], run: () => selectAdjacentNote(1) },
+  { id: 'previousNote', label: 'Note précédente de la liste', shortcuts: ['Alt+ArrowUp'], run: () => selectAdjacentNote(-1) },
+  { id: 'allNotes', label: 'Afficher toutes les notes', shortcuts: [], run: () => showAllNotes() },
+  { id: 'tasksView', label: 'Afficher les tâches ouvertes', shortcuts: [], run: () => handleToggleTasks() },
+  { id: 'trashView', label: 'Afficher la corbeille', shortcuts: [], run: () => handleToggleTrash() },
+  { id: 'undo', label: 'Annuler', shortcuts: ['Ctrl+Z'], editor: true, when: hasCurrentNote, run: () => handleUndo() },
+  { id: 'redo', label: 'Rétablir', shortcuts: ['Ctrl+Shift+Z', 'Ctrl+Y'], editor: true, when: hasCurrentNote, run: () => handleRedo() },
+  ...FORMAT_COMMANDS.map(([action, label, shortcuts]) => ({
+    id: action,
+    label,
+    shortcuts,
+    editor: true,
+    format: true,
+    when: hasCurrentNote,
+    run: () => handleToolbarAction(action)
+  })),
+  { id: 'history', label: 'Historique des versions', shortcuts: [], when: hasCurrentNote, run: () => handleOpenHistory() },
+  { id: 'exportNote', label: 'Exporter la note en TXT', shortcuts: [], when: hasCurrentNote, run: () => handleExport() },
+  { id: 'exportNoteMarkdown', label: 'Exporter la note en Markdown', shortcuts: [], when: hasCurrentNote, run: () => handleExportMarkdown() },
+  { id: 'deleteNote', label: 'Supprimer la note', shortcuts: [], when: hasCurrentNote, run: () => handleDelete() },
+  { id: 'exportAll', label: 'Exporter toutes les notes en TXT', shortcuts: [], run: () => handleExportAll() },
+  { id: 'exportAllMarkdown', label: 'Exporter toutes les notes en Markdown', shortcuts: [], run: () => handleExportAllMarkdown() },
+  { id: 'backup', label: 'Sauvegarder la base (JSON)', shortcuts: [], run: () => handleBackup() },
+  { id: 'encryptedBackup', label: 'Sauvegarder la base chiffrée (JSON)', shortcuts: [], run: () => handleEncryptedBackup() },
+  { id: 'lockVault', label: 'Verrouiller le coffre', shortcuts: [], when: isVaultEnabled, run: () => handleLockVault() },
+  { id: 'shortcuts', label: 'Raccourcis clavier…', shortcuts: [], run: () => openShortcutsEditor() },
+  { id: 'preferences', label: 'Préférences…', shortcuts: [], run: () => openPreferences() },
+  { id: 'sync', label: 'Synchroniser avec le serveur', shortcuts: [], run: () => handleSyncButton() },
+  { id: 'toggleTheme', label: 'Changer de thème (clair, sombre, système)', shortcuts: [], run: () => handleThemeToggle() },
+  {
+    id: 'highContrast',
+    label: 'Activer ou désactiver le contraste élevé',
+    shortcuts: [],
+    run: () => savePreference('highContrast', !appState.preferences.highContrast)
+  }
+];
+
+const getShortcutBindings = () => resolveShortcuts(COMMANDS, appState.shortcutOverrides);
+
+const getFolderLabel = folder =>
+  [PARA_LABELS[folder.category], ...getFolderPath(appState.folders, folder).map(f => f.name)].join(' / ');
+
+const getMoveTargetIds = () => (appState.selectedNoteIds.length > 0
+  ? appState.selectedNoteIds
+  : [appState.currentNote?.id].filter(Boolean));
+
+// Notes, dossiers et destinations de déplacement, recalculés à chaque ouverture de la palette
+const getDynamicCommands = () => [
+  ...appState.notes.map(note => ({
+    id: `open:${note.id}`,
+    label: `Ouvrir : ${note.title || 'Sans titre'}`,
+    run: () => handleNoteSelect(note.id)
+  })),
+  ...appState.folders.map(folder => ({
+    id: `folder:${folder.id}`,
+    label: `Aller au dossier : ${getFolderLabel(folder)}`,
+    run: () => handleFolderSelect(folder.id)
+  })),
+  ...getTemplates(appState.notes).map(template => ({
+    id: `template:${template.id}`,
+    label: `Nouvelle note depuis le modèle : ${template.title || 'Sans titre'}`,
+    run: () => handleNewNote(template)
+  })),
+  ...(getMoveTargetIds().length > 0 ? [
+    { id: 'move:none', label: 'Déplacer vers : Sans dossier', run: () => handleMoveNotes(getMoveTargetIds(), null) },
+    ...appState.folders.map(folder => ({
+      id: `move:${folder.id}`,
+      label: `Déplacer vers : ${getFolderLabel(folder)}`,
+      run: () => handleMoveNotes(getMoveTargetIds(), folder.id)
+    }))
+  ] : [])
+];
+
+const isSelectionInEditor = () => {
+  const sel = getSelectionAndRange();
+  return Boolean(sel) && document.getElementById('noteBody').contains(sel.range.commonAncestorContainer);
+};
+
+const runCommand = command => {
+  if (command.when && !command.when()) return;
+  if (command.format && !isSelectionInEditor()) return;
+  command.run();
+};
+
+const showAllNotes = () => {
+  setState({ currentFolder: null, listView: 'notes' });
+  renderListView();
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+const selectAdjacentNote = async step => {
+  const notes = getFilteredAndSortedNotes();
+  if (notes.length === 0) return;
+
+  const index = notes.findIndex(note => note.id === appState.currentNote?.id);
+  const target = index === -1 ? notes[step > 0 ? 0 : notes.length - 1] : notes[index + step];
+  if (!target) return;
+
+  await handleNoteSelect(target.id);
+  document.querySelector(`.note-item[data-note-id="${CSS.escape(target.id)}"]`)?.scrollIntoView?.({ block: 'nearest' });
+};
+
+// ===== COMMAND PALETTE =====
+
+// Sélection de l'éditeur au moment d'ouvrir la palette, rendue avant d'exécuter la commande
+let paletteEditorSelection = null;
+
+const isCommandPaletteOpen = () =>
+  document.getElementById('commandPaletteModal').classList.contains('modal--open');
+
+const updateCommandPalette = () => {
+  const query = document.getElementById('commandPaletteInput').value;
+  const available = [...COMMANDS, ...getDynamicCommands()].filter(command => !command.when || command.when());
+  const results = searchCommands(available, query, MAX_PALETTE_RESULTS);
+  setState({ paletteResults: results, activePaletteItem: 0 });
+  renderCommandPalette(results, 0);
+};
+
+const openCommandPalette = () => {
+  paletteEditorSelection = isSelectionInEditor()
+    ? saveEditorSelection(document.getElementById('noteBody'))
+    : null;
+
+  const input = document.getElementById('commandPaletteInput');
+  input.value = '';
+  openModal('commandPaletteModal');
+  updateCommandPalette();
+  input.focus();
+};
+
+const closeCommandPalette = () => {
+  closeModal('commandPaletteModal');
+  if (paletteEditorSelection) {
+    const bodyElement = document.getElementById('noteBody');
+    bodyElement.focus();
+    restoreEditorSelection(bodyElement, paletteEditorSelection);
+    paletteEditorSelection = null;
+  }
+};
+
+const toggleCommandPalette = () => {
+  if (isCommandPaletteOpen()) closeCommandPalette();
+  else openCommandPalette();
+};
+
+const runPaletteCommand = command => {
+  closeCommandPalette();
+  runCommand(command);
+};
+
+const handleCommandPaletteKeydown = event => {
+  const results = appState.paletteResults;
+  const moves = { ArrowDown: 1, ArrowUp: -1 };
+
+  if (moves[event.key] && results.length > 0) {
+    event.preventDefault();
+    const activeIndex = (appState.activePaletteItem + moves[event.key] + results.length) % results.length;
+    setState({ activePaletteItem: activeIndex });
+    renderCommandPalette(results, activeIndex);
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    if (results[appState.activePaletteItem]) runPaletteCommand(results[appState.activePaletteItem]);
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    closeCommandPalette();
+  }
+};
+
+// ===== PREFERENCES =====
+
+const PREFERENCE_KEYS = ['defaultCategory', 'editorFontSize', 'dateFormat', 'theme', 'highContrast', 'accentColor'];
+
+const applyPreferences = preferences => {
+  setState({ preferences });
+  document.documentElement.style.setProperty('--editor-font-size', `${preferences.editorFontSize}px`);
+  applyTheme(preferences);
+};
+
+// Paramètres persistants hors état d'interface, relus au lancement et après une restauration
+const applySettings = settings => {
+  setState({
+    trashRetentionDays: settings.trashRetentionDays,
+    shortcutOverrides: settings.shortcuts,
+    syncConfig: {
+      adapter: settings.syncAdapter,
+      url: settings.syncUrl,
+      username: settings.syncUsername,
+      password: settings.syncPassword
+    },
+    vaultAutoLockMinutes: settings.vaultAutoLockMinutes,
+    journal: Object.fromEntries(JOURNAL_SETTINGS.map(key => [key, settings[key]])),
+    manualOrders: settings.manualOrders
+  });
+  applyPreferences(Object.fromEntries(PREFERENCE_KEYS.map(key => [key, settings[key]])));
+};
+
+const openPreferences = () => {
+  renderPreferences();
+  openModal('preferencesModal');
+};
+
+const savePreference = async (key, value) => {
+  if (!SETTINGS_SCHEMA[key].isValid(value)) {
+    renderPreferences();
+    return;
+  }
+
+  applyPreferences({ ...appState.preferences, [key]: value });
+  if (key === 'dateFormat') {
+    renderNotesList(getFilteredAndSortedNotes());
+    renderTrash();
+  }
+  try {
+    await saveSetting(key, value);
+  } catch (error) {
+    console.error('❌ Error saving preference:', error);
+  }
+};
+
+const handleDefaultCategoryChange = event =>
+  savePreference('defaultCategory', event.target.value || null);
+
+const handleEditorFontSizeChange = event =>
+  savePreference('editorFontSize', Number(event.target.value));
+
+const handleDateFormatChange = event =>
+  savePreference('dateFormat', event.target.value);
+
+const handleThemeChange = event =>
+  savePreference('theme', event.target.value);
+
+const handleHighContrastChange = event =>
+  savePreference('highContrast', event.target.checked);
+
+const handleAccentColorChange = event =>
+  savePreference('accentColor', event.target.value);
+
+// ===== THEME =====
+
+const THEME_OPTIONS = {
+  light: { icon: '☀️', label: 'Clair' },
+  dark: { icon: '🌙', label: 'Sombre' },
+  system: { icon: '🖥️', label: 'Système' }
+};
+
+const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+const applyTheme = ({ theme, highContrast, accentColor }) => {
+  const root = document.documentElement;
+  const onAccentColor = getContrastingTextColor(accentColor);
+
+  root.dataset.theme = resolveTheme(theme, systemDarkQuery.matches);
+  root.dataset.contrast = highContrast ? 'high' : 'normal';
+  root.style.setProperty('--color-primary', accentColor);
+  root.style.setProperty('--color-on-primary', onAccentColor);
+  renderThemeToggle(theme);
+
+  try {
+    localStorage.setItem(THEME_CACHE_KEY, JSON.stringify({ theme, highContrast, accentColor, onAccentColor }));
+  } catch (error) {
+    console.error('❌ Error caching theme:', error);
+  }
+};
+
+const handleThemeToggle = () =>
+  savePreference('theme', getNextThemeMode(appState.preferences.theme));
+
+// Le mode « système » suit les changements du réglage de l'OS sans rechargement
+const handleSystemThemeChange = () => {
+  if (appState.preferences.theme === 'system') applyTheme(appState.preferences);
+};
+
+// ===== TAB SYNC =====
+
+const tabChannel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+let remoteChangedStores = new Set();
+
+const notifyStoresChanged = storeNames => {
+  const stores = storeNames.filter(storeName => storeName === STORES.NOTES || storeName === STORES.FOLDERS);
+  if (stores.length > 0) tabChannel.postMessage({ type: 'stores-changed', stores });
+};
+
+const applyRemoteChanges = async () => {
+  const stores = remoteChangedStores;
+  remoteChangedStores = new Set();
+  // Verrouillé, l'onglet se recharge : rien à relire
+  if (isVaultLocked()) return;
+
+  try {
+    if (stores.has(STORES.FOLDERS)) {
+      await refreshFolders();
+      syncCurrentFolder();
+    }
+    if (stores.has(STORES.NOTES)) {
+      // Les modifications locales en attente sont écrites d'abord : un conflit éventuel est détecté là
+      await refreshNotesList();
+      syncOpenNote();
+    }
+  } catch (error) {
+    console.error('❌ Error applying changes from another tab:', error);
+  }
+};
+
+const scheduleRemoteChanges = debounce(applyRemoteChanges, TAB_SYNC_DELAY_MS);
+
+const handleTabMessage = event => {
+  if (event.data?.type === 'vault-changed') {
+    handleVaultChanged();
+    return;
+  }
+  if (event.data?.type !== 'stores-changed') return;
+  event.data.stores.forEach(storeName => remoteChangedStores.add(storeName));
+  scheduleRemoteChanges();
+};
+
+// La note ouverte suit la version enregistrée ailleurs, sauf si elle attend une résolution de conflit
+const syncOpenNote = () => {
+  const { currentNote } = appState;
+  if (!currentNote || pendingNoteSaves.has(currentNote.id) || hasNoteConflict(currentNote.id)) return;
+
+  const stored = appState.notes.find(note => note.id === currentNote.id) || null;
+  if (getNoteVersion(stored) === getNoteVersion(currentNote)) return;
+
+  const bodyInput = document.getElementById('noteBody');
+  const selection = document.activeElement === bodyInput ? saveEditorSelection(bodyInput) : null;
+  setState({ currentNote: stored });
+  updateEditor(stored);
+  if (selection) restoreEditorSelection(bodyInput, selection);
+  renderNotesList(getFilteredAndSortedNotes());
+};
+
+// ===== NOTE CONFLICTS =====
+
+// Conflits en attente de décision, présentés un par un
+let noteConflicts = [];
+
+const hasNoteConflict = noteId => noteConflicts.some(conflict => conflict.local.id === noteId);
+
+const reportNoteConflicts = conflicts => {
+  noteConflicts = [
+    ...noteConflicts.filter(conflict => !conflicts.some(c => c.local.id === conflict.local.id)),
+    ...conflicts
+  ];
+  showNextNoteConflict();
+};
+
+const showNextNoteConflict = () => {
+  const [conflict] = noteConflicts;
+  if (!conflict) {
+    closeModal('conflictModal');
+    return;
+  }
+  renderNoteConflict(conflict);
+  openModal('conflictModal');
+};
+
+const keepVersionInHistory = note => saveRevision(note).catch(error => {
+  console.error('❌ Error saving revision:', error);
+});
+
+// La version de cet onglet devient la plus récente ; celle de l'autre onglet reste dans l'historique
+const handleKeepLocalVersion = async () => {
+  if (noteConflicts.length === 0) return;
+  const [{ local, stored }] = noteConflicts;
+  noteConflicts = noteConflicts.slice(1);
+
+  const latest = pendingNoteSaves.get(local.id) || local;
+  const note = { ...latest, modified: Date.now() };
+  if (stored) await keepVersionInHistory(stored);
+  discardPendingSave(local.id);
+  scheduleNoteSave(note, getNoteVersion(stored));
+  await refreshNotesList();
+  if (appState.currentNote?.id === note.id) setState({ currentNote: note });
+  showNextNoteConflict();
+};
+
+// La version de l'autre onglet est chargée ; celle de cet onglet reste dans l'historique
+const handleLoadOtherVersion = async () => {
+  if (noteConflicts.length === 0) return;
+  const [{ local, stored }] = noteConflicts;
+  noteConflicts = noteConflicts.slice(1);
+
+  discardPendingSave(local.id);
+  if (stored) await keepVersionInHistory(local);
+  await refreshNotesList();
+  if (appState.currentNote?.id === local.id) {
+    const note = appState.notes.find(n => n.id === local.id) || null;
+    setState({ currentNote: note });
+    updateEditor(note);
+    renderNotesList(getFilteredAndSortedNotes());
+  }
+  showNextNoteConflict();
+};
+
+// ===== SYNC ADAPTERS =====
+
+// Un adaptateur expose pull(cursor) -> { cursor, changes } et push(changes) -> { results }.
+// Chaque changement : { store, id, rev, deleted, record } ; chaque résultat : { store, id, status, rev }
+
+const encodeBasicAuth = (username, password) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(`${username}:${password}`)));
+
+const createSyncHeaders = ({ username, password }) => ({
+  'Content-Type': 'application/json',
+  ...(username ? { Authorization: `Basic ${encodeBasicAuth(username, password)}` } : {})
+});
+
+const fetchSync = async (url, options = {}) => {
+  const response = await fetch(url, { cache: 'no-store', ...options });
+  if (!response.ok && response.status !== 404 && response.status !== 412) {
+    throw new Error(`${options.method || 'GET'} ${url} : ${response.status} ${response.statusText}`);
+  }
+  return response;
+};
+
+// Serveur REST : le serveur attribue les révisions et refuse un envoi fondé sur une révision dépassée
+const createRestAdapter = config => {
+  const baseUrl = config.url.replace(/\/+$/, '');
+  const headers = createSyncHeaders(config);
+
+  return {
+    pull: async cursor =>
+      (await fetchSync(`${baseUrl}/changes?since=${cursor}`, { headers })).json(),
+    push: async changes =>
+      (await fetchSync(`${baseUrl}/changes`, { method: 'POST', headers, body: JSON.stringify({ changes }) })).json()
+  };
+};
+
+// WebDAV : un fichier JSON par révision d'enregistrement et un index des révisions,
+// réécrit sous condition d'ETag pour qu'un autre appareil ne l'écrase pas.
+// Un fichier n'est visible qu'une fois l'index écrit : un envoi refusé ne touche à rien de ce qu'il référence
+const createWebDavAdapter = config => {
+  const baseUrl = config.url.replace(/\/+$/, '');
+  const headers = createSyncHeaders(config);
+  const indexUrl = `${baseUrl}/index.json`;
+  const getRecordUrl = (key, rev) => `${baseUrl}/${encodeURIComponent(key.replace('/', '.'))}.${rev}.json`;
+  const deleteFiles = urls => Promise.all(urls.map(url =>
+    fetchSync(url, { method: 'DELETE', headers }).catch(error => {
+      console.error('❌ Error deleting WebDAV file:', error);
+    })));
+
+  const readIndex = async () => {
+    const response = await fetchSync(indexUrl, { headers });
+    if (response.status === 404) return { index: { seq: 0, records: {} }, etag: null };
+    return { index: await response.json(), etag: response.headers.get('ETag') };
+  };
+
+  const pull = async cursor => {
+    const { index } = await readIndex();
+    const changed = Object.entries(index.records).filter(([, entry]) => entry.rev > cursor);
+    const changes = await Promise.all(changed.map(async ([key, entry]) => {
+      const [store, id] = [key.slice(0, key.indexOf('/')), key.slice(key.indexOf('/') + 1)];
+      if (entry.deleted) return { store, id, rev: entry.rev, deleted: true, record: null };
+
+      // Fichier supprimé depuis la lecture de l'index : repris à la prochaine synchronisation
+      const response = await fetchSync(getRecordUrl(key, entry.rev), { headers });
+      return response.status === 404 ? null : { store, id, rev: entry.rev, deleted: false, record: await response.json() };
+    }));
+    return { cursor: index.seq, changes: changes.filter(Boolean) };
+  };
+
+  const push = async changes => {
+    const { index, etag } = await readIndex();
+    const records = { ...index.records };
+    let seq = index.seq;
+
+    const results = changes.map(change => {
+      const key = getSyncKey(change.store, change.id);
+      if ((records[key]?.rev ?? 0) !== change.baseRev) return { store: change.store, id: change.id, status: 'conflict' };
+      seq += 1;
+      records[key] = { rev: seq, deleted: change.deleted };
+      return { store: change.store, id: change.id, status: 'ok', rev: seq };
+    });
+
+    const accepted = changes
+      .filter((change, index) => results[index].status === 'ok')
+      .map(change => ({ change, key: getSyncKey(change.store, change.id) }));
+    const written = accepted
+      .filter(({ change }) => !change.deleted)
+      .map(({ change, key }) => ({ url: getRecordUrl(key, records[key].rev), record: change.record }));
+    await Promise.all(written.map(({ url, record }) =>
+      fetchSync(url, { method: 'PUT', headers, body: JSON.stringify(record) })));
+
+    const response = await fetchSync(indexUrl, {
+      method: 'PUT',
+      headers: { ...headers, ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }) },
+      body: JSON.stringify({ seq, records })
+    });
+    if (response.status === 412) {
+      await deleteFiles(written.map(({ url }) => url));
+      throw new Error('L\'index WebDAV a été modifié par un autre appareil pendant l\'envoi, réessayez');
+    }
+
+    // Les anciennes révisions ne sont plus référencées qu'une fois le nouvel index en place
+    await deleteFiles(accepted
+      .filter(({ key }) => index.records[key] && !index.records[key].deleted)
+      .map(({ key }) => getRecordUrl(key, index.records[key].rev)));
+    return { results };
+  };
+
+  return { pull, push };
+};
+
+const SYNC_ADAPTER_FACTORIES = {
+  rest: createRestAdapter,
+  webdav: createWebDavAdapter
+};
+
+const createSyncAdapter = config =>
+  SYNC_ADAPTER_FACTORIES[config.adapter] && config.url ? SYNC_ADAPTER_FACTORIES[config.adapter](config) : null;
+
+// ===== SERVER SYNC =====
+
+let syncInProgress = null;
+
+const toSyncRecord = async (storeName, record) => {
+  if (record && storeName === STORES.NOTES) return omitLocalFields(record);
+  if (!record || storeName !== STORES.ATTACHMENTS) return record;
+  const { blob, ...attachment } = record;
+  return { ...attachment, data: await blobToDataUrl(blob) };
+};
+
+// Un enregistrement reçu peut venir de n'importe quel appareil : validé et nettoyé comme une sauvegarde
+const fromSyncRecord = (storeName, record) => {
+  if (storeName === STORES.ATTACHMENTS) {
+    const { data, ...attachment } = record;
+    return { ...attachment, blob: dataUrlToBlob(data) };
+  }
+  if (storeName === STORES.NOTES) return normalizeNote({ ...record, content: sanitizeNoteHTML(record.content) });
+  return record;
+};
+
+const readRemoteChanges = changes => changes.filter(change => {
+  const isValid = SYNCED_STORES.includes(change.store) && typeof change.id === 'string' &&
+    typeof change.rev === 'number' &&
+    (change.deleted || (isPlainObject(change.record) && recordValidators[change.store](change.record)));
+  if (!isValid) console.error('❌ Ignoring invalid sync change:', change);
+  return isValid;
+}).map(change => ({
+  ...change,
+  record: change.deleted ? null : fromSyncRecord(change.store, change.record)
+}));
+
+const loadSyncState = async () => {
+  const records = await getAll(SYNC_STATE_STORE);
+  const cursor = records.find(record => record.key === SYNC_CURSOR_KEY)?.value ?? 0;
+  const entries = new Map(records.filter(record => record.key !== SYNC_CURSOR_KEY).map(entry => [entry.key, entry]));
+  return { cursor, entries };
+};
+
+// Une note écrite par la synchronisation change de version : une modification en attente
+// dans un onglet est alors signalée comme conflit au lieu d'écraser la fusion
+const stampSyncedRecord = (storeName, record) =>
+  record && storeName === STORES.NOTES ? { ...record, changed: Date.now() } : record;
+
+// Écritures locales et état de synchronisation dans une même transaction. Chaque écriture porte la version
+// lue avant l'échange avec le serveur ; si un enregistrement a changé depuis (frappe, autre onglet),
+// rien n'est écrit et la promesse résout false
+const applySyncWrites = async (writes, entries, cursor) => {
+  const sealedWrites = await Promise.all(writes.map(async write => ({
+    ...write,
+    record: await sealRecord(write.storeName, stampSyncedRecord(write.storeName, write.record))
+  })));
+  const sealedEntries = await Promise.all(entries.map(entry => sealRecord(SYNC_STATE_STORE, entry)));
+  const checked = writes.filter(write => write.expectedVersion !== undefined);
+  let stale = false;
+
+  await performRawBulkWrite([...SYNCED_STORES, SYNC_STATE_STORE], getStore => {
+    const apply = () => {
+      sealedWrites.forEach(({ storeName, id, record }) => {
+        if (record) getStore(storeName).put(record);
+        else getStore(storeName).delete(id);
+      });
+      sealedEntries.forEach(entry => getStore(SYNC_STATE_STORE).put(entry));
+      if (cursor !== undefined) getStore(SYNC_STATE_STORE).put({ key: SYNC_CURSOR_KEY, value: cursor });
+    };
+    if (checked.length === 0) return apply();
+
+    let remaining = checked.length;
+    checked.forEach(({ storeName, id, expectedVersion }) => {
+      const request = getStore(storeName).get(id);
+      request.onsuccess = () => {
+        if (getSyncedVersion(storeName, request.result ?? null) !== expectedVersion) stale = true;
+        remaining -= 1;
+        if (remaining === 0 && !stale) apply();
+      };
+    });
+  });
+  return !stale;
+};
+
+// Chaque écriture prévue retient la version de l'enregistrement local sur lequel le plan s'appuie
+const withExpectedVersions = (localStores, writes) => writes.map(write => ({
+  ...write,
+  expectedVersion: getSyncedVersion(write.storeName,
+    localStores[write.storeName].find(record => record.id === write.id) ?? null)
+}));
+
+const readSyncedStores = async () => Object.fromEntries(await Promise.all(
+  SYNCED_STORES.map(async storeName => [storeName, await getAll(storeName)])
+));
+
+// Les stores locaux sont relus après l'échange avec le serveur ; le plan est recalculé
+// tant qu'une écriture locale survient entre cette lecture et l'application du plan
+const applyPulledChanges = async (remoteChanges, entries, pulledCursor, attempt = 1) => {
+  await flushPendingSaves();
+  const localStores = await readSyncedStores();
+  const plan = planSync(localStores, entries, remoteChanges);
+  // Un conflit non résolu est proposé de nouveau à la prochaine synchronisation
+  const nextCursor = Math.min(pulledCursor, ...plan.conflicts.map(conflict => conflict.rev - 1));
+  const written = await applySyncWrites(withExpectedVersions(localStores, plan.writes), [...plan.entries.values()], nextCursor);
+  if (written) return plan;
+  if (attempt >= SYNC_MAX_ATTEMPTS) {
+    throw new Error('Des notes ont changé pendant la synchronisation, elle sera reprise plus tard');
+  }
+  return applyPulledChanges(remoteChanges, entries, pulledCursor, attempt + 1);
+};
 
-  await add(STORES.NOTES, note);
+const refreshAfterSync = async () => {
+  await refreshFolders();
+  syncCurrentFolder();
   await refreshNotesList();
-  await handleNoteSelect(note.id);
-
-  // Focus on title
-  document.getElementById('noteTitle').focus();
+  syncOpenNote();
 };
 
-const getOrCreateDefaultFolder = async category => {
-  const categoryFolders = appState.folders.filter(f => f.category === category);
+const setSyncStatus = (state, message = '') => {
+  setState({ syncStatus: { state, at: state === 'synced' ? Date.now() : appState.syncStatus.at, message } });
+  renderSyncStatus();
+};
 
-  if (categoryFolders.length > 0) {
-    return categoryFolders[0];
+const runSync = async adapter => {
+  const { cursor, entries } = await loadSyncState();
+  const pulled = await adapter.pull(cursor);
+  const plan = await applyPulledChanges(readRemoteChanges(pulled.changes), entries, pulled.cursor);
+
+  const pushedEntries = [];
+  if (plan.push.length > 0) {
+    const changes = await Promise.all(plan.push.map(async change => ({
+      ...change,
+      record: await toSyncRecord(change.store, change.record)
+    })));
+    const { results } = await adapter.push(changes);
+    // Un envoi refusé revient comme conflit à la prochaine synchronisation
+    results.filter(result => result.status === 'ok').forEach(result => {
+      const change = plan.push.find(c => c.store === result.store && c.id === result.id);
+      if (change) pushedEntries.push(createSyncEntry(change.store, change.id, result.rev, change.record));
+    });
   }
+  if (pushedEntries.length > 0) await applySyncWrites([], pushedEntries);
+  if (plan.writes.length > 0) await refreshAfterSync();
 
-  // Create default folder for this category
-  const folderName = {
-    projects: 'Projets généraux',
-    areas: 'Domaines généraux',
-    resources: 'Ressources générales',
-    archives: 'Archives générales'
-  }[category];
+  return plan.conflicts;
+};
 
-  const folder = createFolder(folderName, category);
-  await add(STORES.FOLDERS, folder);
-  await refreshFolders();
+const syncNow = async () => {
+  const adapter = createSyncAdapter(appState.syncConfig);
+  // Le serveur recevrait les notes en clair : rien n'est échangé tant que le coffre est activé
+  if (!adapter || syncInProgress || isVaultEnabled()) return syncInProgress;
+
+  setSyncStatus('syncing');
+  syncInProgress = runSync(adapter)
+    .then(conflicts => {
+      setSyncStatus(conflicts.length > 0 ? 'conflict' : 'synced');
+      if (conflicts.length > 0) reportSyncConflicts(conflicts);
+    })
+    .catch(error => {
+      console.error('❌ Error syncing with server:', error);
+      setSyncStatus('error', error.message);
+    })
+    .finally(() => {
+      syncInProgress = null;
+    });
+  return syncInProgress;
+};
 
-  return folder;
+const handleSyncButton = () => {
+  if (createSyncAdapter(appState.syncConfig) && !isVaultEnabled()) syncNow();
+  else openPreferences();
 };
 
-const handleNewNoteInCategory = async category => {
-  const folder = await getOrCreateDefaultFolder(category);
-  const note = createNote('Sans titre', '', folder.id);
+const saveSyncSetting = async (key, value) => {
+  const configKey = { syncAdapter: 'adapter', syncUrl: 'url', syncUsername: 'username', syncPassword: 'password' }[key];
+  setState({ syncConfig: { ...appState.syncConfig, [configKey]: value } });
+  renderSyncStatus();
+  try {
+    await saveSetting(key, value);
+  } catch (error) {
+    console.error('❌ Error saving sync settings:', error);
+  }
+};
 
-  await add(STORES.NOTES, note);
+const handleSyncSettingChange = event =>
+  saveSyncSetting(event.target.dataset.setting, event.target.value.trim());
 
-  // Select the folder to show the new note
-  setState({ currentFolder: folder });
-  updateCurrentFolderTitle();
+// ===== SYNC CONFLICTS =====
 
-  await refreshNotesList();
-  await handleNoteSelect(note.id);
+// Conflits serveur en attente de décision, présentés un par un
+let syncConflicts = [];
 
-  // Focus on title
-  document.getElementById('noteTitle').focus();
+const reportSyncConflicts = conflicts => {
+  syncConflicts = conflicts;
+  showNextSyncConflict();
 };
 
-const handleNoteTitleChange = async event => {
-  if (!appState.currentNote) return;
+const showNextSyncConflict = () => {
+  const [conflict] = syncConflicts;
+  if (!conflict) {
+    closeModal('syncConflictModal');
+    // Les choix faits sont envoyés au serveur
+    syncNow();
+    return;
+  }
+  renderSyncConflict(conflict);
+  openModal('syncConflictModal');
+};
 
-  const updatedNote = updateNoteContent(appState.currentNote, {
-    title: event.target.value || 'Sans titre'
+// Le choix porte sur les champs en conflit, le reste de la fusion est conservé
+const resolveSyncConflict = (conflict, side) => {
+  const chosen = conflict[side];
+  if (!conflict.merged || !chosen) return chosen;
+  return finalizeSyncedRecord(conflict.storeName, {
+    ...conflict.merged,
+    ...Object.fromEntries(conflict.fields.map(field => [field, chosen[field]]))
   });
+};
 
-  await update(STORES.NOTES, updatedNote);
-  setState({ currentNote: updatedNote });
-  await refreshNotesList();
+const handleResolveSyncConflict = async side => {
+  if (syncConflicts.length === 0) return;
+  const [conflict] = syncConflicts;
+  syncConflicts = syncConflicts.slice(1);
+
+  // La base devient la version du serveur : un choix différent sera envoyé par la synchronisation suivante.
+  // Modifié localement depuis, l'enregistrement n'est pas écrasé : le conflit revient avec la nouvelle version
+  const record = resolveSyncConflict(conflict, side);
+  try {
+    await applySyncWrites(
+      [{
+        storeName: conflict.storeName,
+        id: conflict.id,
+        record,
+        expectedVersion: getSyncedVersion(conflict.storeName, conflict.local)
+      }],
+      [createSyncEntry(conflict.storeName, conflict.id, conflict.rev, conflict.remote)]
+    );
+    await refreshAfterSync();
+  } catch (error) {
+    console.error('❌ Error resolving sync conflict:', error);
+  }
+  showNextSyncConflict();
 };
 
-const handleNoteContentChange = async () => {
-  if (!appState.currentNote) return;
+// ===== VAULT =====
 
-  const bodyElement = document.getElementById('noteBody');
-  const updatedNote = updateNoteContent(appState.currentNote, {
-    content: bodyElement.innerHTML
-  });
+// Demande de phrase secrète en cours : une seule à la fois
+let passphraseRequest = null;
+let lastVaultActivity = Date.now();
 
-  await update(STORES.NOTES, updatedNote);
-  setState({ currentNote: updatedNote });
-  await refreshNotesList();
+const setPassphraseError = message => {
+  document.getElementById('passphraseError').textContent = message;
 };
 
-const handleNewFolder = () => {
-  const modal = document.getElementById('folderModal');
-  const input = document.getElementById('folderNameInput');
-
-  modal.classList.add('modal--open');
-  input.value = '';
-  input.focus();
+const clearPassphraseInputs = () => {
+  document.getElementById('passphraseInput').value = '';
+  document.getElementById('passphraseConfirmInput').value = '';
 };
 
-const handleCreateFolder = async () => {
-  const input = document.getElementById('folderNameInput');
-  const name = input.value.trim();
+// Résout avec le résultat de `accept` (null : phrase refusée, la fenêtre reste ouverte) ou null si annulé
+const requestPassphrase = ({ title, message, confirm = false, cancellable = true, accept = async passphrase => passphrase }) =>
+  new Promise(resolve => {
+    passphraseRequest = { confirm, accept, resolve };
+    document.getElementById('passphraseTitle').textContent = title;
+    document.getElementById('passphraseMessage').textContent = message;
+    document.getElementById('passphraseConfirmField').classList.toggle('hidden', !confirm);
+    document.getElementById('passphraseCancelBtn').classList.toggle('hidden', !cancellable);
+    document.getElementById('passphraseInput').autocomplete = confirm ? 'new-password' : 'current-password';
+    clearPassphraseInputs();
+    setPassphraseError('');
+    openModal('passphraseModal');
+    document.getElementById('passphraseInput').focus();
+  });
 
-  if (!name) return;
+const finishPassphraseRequest = result => {
+  const { resolve } = passphraseRequest;
+  passphraseRequest = null;
+  clearPassphraseInputs();
+  closeModal('passphraseModal');
+  resolve(result);
+};
 
-  // For now, default to 'projects' category
-  // In a full implementation, you'd let the user choose
-  const folder = createFolder(name, 'projects');
+const handlePassphraseSubmit = async event => {
+  event.preventDefault();
+  if (!passphraseRequest) return;
 
-  await add(STORES.FOLDERS, folder);
-  await refreshFolders();
+  const { confirm, accept } = passphraseRequest;
+  const passphrase = document.getElementById('passphraseInput').value;
+  if (confirm && passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+    setPassphraseError(`Au moins ${VAULT_MIN_PASSPHRASE_LENGTH} caractères.`);
+    return;
+  }
+  if (confirm && passphrase !== document.getElementById('passphraseConfirmInput').value) {
+    setPassphraseError('Les deux saisies ne correspondent pas.');
+    return;
+  }
 
-  closeModal();
+  // La dérivation de clé prend volontairement un moment
+  const submitButton = document.getElementById('passphraseSubmitBtn');
+  submitButton.disabled = true;
+  setPassphraseError('');
+  try {
+    const result = await accept(passphrase);
+    if (result === null) setPassphraseError('Phrase secrète incorrecte.');
+    else finishPassphraseRequest(result);
+  } finally {
+    submitButton.disabled = false;
+  }
 };
 
-const closeModal = () => {
-  const modal = document.getElementById('folderModal');
-  modal.classList.remove('modal--open');
+const handlePassphraseCancel = () => {
+  if (passphraseRequest) finishPassphraseRequest(null);
 };
 
-const handleSearch = event => {
-  setState({ searchQuery: event.target.value });
-  renderNotesList(getFilteredAndSortedNotes());
+// Branchée avant le reste de l'interface : le déverrouillage précède le chargement des données
+const initializePassphraseDialog = () => {
+  document.getElementById('passphraseForm').addEventListener('submit', handlePassphraseSubmit);
+  document.getElementById('passphraseCancelBtn').addEventListener('click', handlePassphraseCancel);
 };
 
-const handleSortChange = event => {
-  setState({ sortBy: event.target.value });
-  renderNotesList(getFilteredAndSortedNotes());
+const loadVaultMeta = async () => {
+  vaultMeta = (await getById(VAULT_STORE, VAULT_META_KEY)) ?? null;
 };
 
-const handleExport = () => {
-  if (!appState.currentNote) return;
-
-  const txtContent = exportNoteToTxt(appState.currentNote);
-  const blob = new Blob([txtContent], { type: 'text/plain;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
+// Sans la bonne phrase secrète, rien n'est lu : l'application attend derrière la fenêtre
+const unlockVaultAtStartup = async () => {
+  await loadVaultMeta();
+  if (!isVaultEnabled()) return;
 
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `${appState.currentNote.title}.txt`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  vaultKey = await requestPassphrase({
+    title: '🔒 Notes verrouillées',
+    message: 'Saisissez la phrase secrète pour déchiffrer les notes de cet appareil.',
+    cancellable: false,
+    accept: passphrase => openVault(vaultMeta, passphrase)
+  });
+  lastVaultActivity = Date.now();
+  await sealPlainNotes();
+};
 
-  URL.revokeObjectURL(url);
+// Un onglet resté sans clé pendant l'activation du coffre a pu écrire ses dernières modifications en clair
+const sealPlainNotes = async () => {
+  const records = await performTransaction(STORES.NOTES, 'readonly', store => store.getAll());
+  const plain = records.filter(note => !note.sealed);
+  if (plain.length === 0) return;
+  await performBulkWrite([STORES.NOTES], getStore => plain.forEach(note => getStore(STORES.NOTES).put(note)));
 };
 
-const handleExportAll = () => {
-  if (appState.notes.length === 0) {
-    alert('Aucune note à exporter');
-    return;
-  }
+const readVaultStores = () => Promise.all(
+  Object.keys(VAULT_FIELDS).map(async storeName => [storeName, await getAll(storeName)])
+);
 
-  const sortedNotes = sortNotesByModified(appState.notes);
-  const txtContent = exportAllNotesToTxt(sortedNotes);
-  const blob = new Blob([txtContent], { type: 'text/plain;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
+// Réécrit chaque enregistrement selon l'état du coffre, avec ses paramètres, dans une seule transaction
+const rewriteVaultStores = (records, writeMeta) =>
+  performBulkWrite([...Object.keys(VAULT_FIELDS), VAULT_STORE], getStore => {
+    records.forEach(([storeName, storeRecords]) => {
+      storeRecords.forEach(record => getStore(storeName).put(record));
+    });
+    writeMeta(getStore(VAULT_STORE));
+  });
 
-  const timestamp = new Date().toISOString().split('T')[0];
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `transient-notes-export-${timestamp}.txt`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+const enableVault = async passphrase => {
+  await flushPendingSaves();
+  const records = await readVaultStores();
+  const { meta, key } = await createVault(passphrase);
 
-  URL.revokeObjectURL(url);
+  vaultMeta = meta;
+  vaultKey = key;
+  try {
+    await rewriteVaultStores(records, store => store.put(meta));
+  } catch (error) {
+    vaultMeta = null;
+    vaultKey = null;
+    throw error;
+  }
 };
 
-const handleDelete = async () => {
-  if (!appState.currentNote) return;
+const disableVault = async () => {
+  await flushPendingSaves();
+  const records = await readVaultStores();
+  const meta = vaultMeta;
 
-  const confirmDelete = window.confirm(
-    `Voulez-vous vraiment supprimer la note "${appState.currentNote.title}" ?`
-  );
+  vaultMeta = null;
+  try {
+    await rewriteVaultStores(records, store => store.delete(VAULT_META_KEY));
+  } catch (error) {
+    vaultMeta = meta;
+    throw error;
+  }
+  vaultKey = null;
+};
 
-  if (!confirmDelete) return;
+const handleVaultToggle = async () => {
+  const enabling = !isVaultEnabled();
+  const answer = enabling
+    ? await requestPassphrase({
+      title: 'Chiffrer les notes',
+      message: 'Titres, contenus, pièces jointes et historique seront chiffrés avec cette phrase secrète. ' +
+        'Elle n\'est enregistrée nulle part : sans elle, les notes sont perdues. ' +
+        'La synchronisation avec un serveur est suspendue tant que le chiffrement est activé.',
+      confirm: true
+    })
+    : await requestPassphrase({
+      title: 'Déchiffrer les notes',
+      message: 'Les notes seront de nouveau enregistrées en clair sur cet appareil.',
+      accept: passphrase => openVault(vaultMeta, passphrase)
+    });
+  if (answer === null) return;
 
-  await remove(STORES.NOTES, appState.currentNote.id);
-  setState({ currentNote: null });
-  updateEditor(null);
-  await refreshNotesList();
+  try {
+    if (enabling) await enableVault(answer);
+    else await disableVault();
+  } catch (error) {
+    console.error('❌ Error changing vault:', error);
+    alert(`Échec du ${enabling ? 'chiffrement' : 'déchiffrement'} :\n${error.message}`);
+    return;
+  }
+  lastVaultActivity = Date.now();
+  // Les autres onglets rechargent : ils écrivaient avec l'ancien état du coffre
+  tabChannel.postMessage({ type: 'vault-changed' });
+  renderVaultPreferences();
+  renderSyncStatus();
+  if (!enabling) syncNow();
 };
 
-// ===== IMAGE HANDLING =====
+// Verrouiller, c'est recharger : rien de déchiffré ne reste en mémoire
+const lockVault = async () => {
+  await flushPendingSaves();
+  if (vaultKey) await saveUIState();
+  vaultKey = null;
+  window.location.reload();
+};
 
-const handleImageDrop = event => {
-  event.preventDefault();
-  event.stopPropagation();
+const handleLockVault = () => {
+  tabChannel.postMessage({ type: 'vault-changed' });
+  lockVault();
+};
 
-  const bodyElement = document.getElementById('noteBody');
-  bodyElement.classList.remove('editor__body--drop-active');
+// Un autre onglet a verrouillé, activé ou désactivé le coffre.
+// Sans clé, rien ne pourra être chiffré après relecture du coffre : les modifications en attente sont écrites avant
+const handleVaultChanged = async () => {
+  if (!vaultKey) await flushPendingSaves();
+  await loadVaultMeta();
+  if (!isVaultEnabled()) vaultKey = null;
+  await lockVault();
+};
 
-  const files = Array.from(event.dataTransfer.files);
-  const imageFiles = files.filter(file => file.type.startsWith('image/'));
+const recordVaultActivity = () => {
+  lastVaultActivity = Date.now();
+};
 
-  imageFiles.forEach(file => {
-    const reader = new FileReader();
-    reader.onload = e => {
-      const img = document.createElement('img');
-      img.src = e.target.result;
-      bodyElement.appendChild(img);
-      handleNoteContentChange();
-    };
-    reader.readAsDataURL(file);
-  });
+const checkVaultAutoLock = () => {
+  if (vaultKey && Date.now() - lastVaultActivity >= appState.vaultAutoLockMinutes * 60 * 1000) lockVault();
 };
 
-const handleImagePaste = event => {
-  const items = Array.from(event.clipboardData.items);
-  const imageItems = items.filter(item => item.type.startsWith('image/'));
+const handleVaultAutoLockChange = async event => {
+  const minutes = Number(event.target.value);
+  setState({ vaultAutoLockMinutes: minutes });
+  try {
+    await saveSetting('vaultAutoLockMinutes', minutes);
+  } catch (error) {
+    console.error('❌ Error saving vault settings:', error);
+  }
+};
 
-  if (imageItems.length > 0) {
-    event.preventDefault();
+// ===== SERVICE WORKER =====
 
-    imageItems.forEach(item => {
-      const file = item.getAsFile();
-      const reader = new FileReader();
-      reader.onload = e => {
-        const img = document.createElement('img');
-        img.src = e.target.result;
+// Le service worker n'est installé que servi en http(s), pas depuis un fichier ouvert directement
+const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
 
-        const bodyElement = document.getElementById('noteBody');
-        bodyElement.appendChild(img);
-        handleNoteContentChange();
-      };
-      reader.readAsDataURL(file);
+  try {
+    const registration = await navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' });
+
+    // Une mise à jour déjà téléchargée attend depuis une visite précédente
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        // Sans contrôleur, c'est la première installation : rien à mettre à jour
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdatePrompt(worker);
+        }
+      });
     });
+  } catch (error) {
+    console.error('❌ Error registering service worker:', error);
   }
 };
 
-const handleDragOver = event => {
-  event.preventDefault();
-  const bodyElement = document.getElementById('noteBody');
-  bodyElement.classList.add('editor__body--drop-active');
+let waitingWorker = null;
+
+const showUpdatePrompt = worker => {
+  waitingWorker = worker;
+  document.getElementById('updateBanner').classList.remove('hidden');
 };
 
-const handleDragLeave = event => {
-  event.preventDefault();
-  const bodyElement = document.getElementById('noteBody');
-  bodyElement.classList.remove('editor__body--drop-active');
+const dismissUpdatePrompt = () => {
+  document.getElementById('updateBanner').classList.add('hidden');
 };
 
-// ===== TOOLBAR ACTIONS =====
+// Les saisies en attente sont écrites avant que la nouvelle version ne recharge la page
+const handleApplyUpdate = async () => {
+  if (!waitingWorker) return;
 
-const handleToolbarAction = action => {
-  const formatFn = formatActions[action];
-  if (formatFn) {
-    formatFn();
-    handleNoteContentChange();
-  }
+  await flushPendingSaves();
+  await saveUIState();
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
 };
 
-// ===== TREE NAVIGATION TOGGLE =====
+// ===== SHORTCUT EDITOR =====
 
-const handleTreeToggle = event => {
-  const header = event.currentTarget;
-  header.classList.toggle('tree-nav__header--collapsed');
+const openShortcutsEditor = () => {
+  setState({ capturingShortcutFor: null });
+  renderShortcutsEditor();
+  openModal('shortcutsModal');
 };
 
-// ===== HELPER FUNCTIONS =====
-
-const getFilteredAndSortedNotes = () => {
-  let notes = [...appState.notes];
+const closeShortcutsEditor = () => {
+  setState({ capturingShortcutFor: null });
+  closeModal('shortcutsModal');
+};
 
-  // Filter by folder
-  if (appState.currentFolder) {
-    notes = filterNotesByFolder(appState.currentFolder.id, notes);
+const saveShortcutOverrides = async overrides => {
+  setState({ shortcutOverrides: overrides, capturingShortcutFor: null });
+  renderShortcutsEditor();
+  try {
+    await saveSetting('shortcuts', overrides);
+  } catch (error) {
+    console.error('❌ Error saving shortcuts:', error);
   }
+};
 
-  // Filter by search
-  if (appState.searchQuery) {
-    notes = searchNotes(appState.searchQuery, notes);
+const assignShortcut = (commandId, shortcut) => {
+  const bindings = getShortcutBindings();
+  const overrides = { ...appState.shortcutOverrides, [commandId]: shortcut ? [shortcut] : [] };
+
+  const ownerId = shortcut && findShortcutOwner(bindings, shortcut, commandId);
+  if (ownerId) {
+    const owner = COMMANDS.find(command => command.id === ownerId);
+    if (!window.confirm(`${formatShortcut(shortcut)} est déjà utilisé par « ${owner.label} ». Le lui retirer ?`)) {
+      setState({ capturingShortcutFor: null });
+      renderShortcutsEditor();
+      return;
+    }
+    overrides[ownerId] = bindings[ownerId].filter(existing => existing !== shortcut);
   }
+  saveShortcutOverrides(overrides);
+};
 
-  // Sort
-  switch (appState.sortBy) {
-    case 'created':
-      notes = sortNotesByCreated(notes);
-      break;
-    case 'title':
-      notes = sortNotesByTitle(notes);
-      break;
-    case 'modified':
-    default:
-      notes = sortNotesByModified(notes);
+const resetShortcut = commandId => {
+  const { [commandId]: removed, ...overrides } = appState.shortcutOverrides;
+  const command = COMMANDS.find(c => c.id === commandId);
+  const bindings = resolveShortcuts(COMMANDS, overrides);
+  const conflict = command.shortcuts
+    .map(shortcut => findShortcutOwner(bindings, shortcut, commandId))
+    .find(Boolean);
+
+  if (conflict) {
+    const owner = COMMANDS.find(c => c.id === conflict);
+    alert(`Le raccourci par défaut est maintenant utilisé par « ${owner.label} ». Modifiez d'abord ce raccourci.`);
+    return;
   }
-
-  return notes;
+  saveShortcutOverrides(overrides);
 };
 
-const refreshNotesList = async () => {
-  const allNotes = await getAll(STORES.NOTES);
-  setState({ notes: allNotes });
-  renderNotesList(getFilteredAndSortedNotes());
+const handleResetAllShortcuts = () => {
+  if (window.confirm('Rétablir tous les raccourcis par défaut ?')) saveShortcutOverrides({});
 };
 
-const refreshFolders = async () => {
-  const folders = await getAll(STORES.FOLDERS);
-  setState({ folders });
-  renderFolders(folders);
+// Écoute en phase de capture : la combinaison saisie ne déclenche pas sa commande actuelle
+const handleShortcutCapture = event => {
+  const commandId = appState.capturingShortcutFor;
+  if (!commandId || !document.getElementById('shortcutsModal').classList.contains('modal--open')) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (event.key === 'Escape') {
+    setState({ capturingShortcutFor: null });
+    renderShortcutsEditor();
+  } else if (event.key === 'Backspace' || event.key === 'Delete') {
+    assignShortcut(commandId, null);
+  } else {
+    const shortcut = eventToShortcut(event);
+    if (shortcut) assignShortcut(commandId, shortcut);
+  }
 };
 
 // ===== KEYBOARD SHORTCUTS =====
 
 const handleKeyboardShortcuts = event => {
-  if (event.ctrlKey || event.metaKey) {
-    switch (event.key) {
-      case 'n':
-        event.preventDefault();
-        handleNewNote();
-        break;
-      case 'f':
-        if (!event.target.matches('#searchInput')) {
-          event.preventDefault();
-          document.getElementById('searchInput').focus();
-        }
-        break;
-      case 'u':
-        if (!event.shiftKey) {
-          event.preventDefault();
-          handleToolbarAction('underline');
-        }
-        break;
-      case 'X':
-        if (event.shiftKey) {
-          event.preventDefault();
-          handleToolbarAction('strikethrough');
-        }
-        break;
-      case '1':
-        event.preventDefault();
-        handleNewNoteInCategory('projects');
-        break;
-      case '2':
-        event.preventDefault();
-        handleNewNoteInCategory('areas');
-        break;
-      case '3':
-        event.preventDefault();
-        handleNewNoteInCategory('resources');
-        break;
-      case '4':
-        event.preventDefault();
-        handleNewNoteInCategory('archives');
-        break;
-    }
+  if (event.key === 'Escape' && appState.selectedNoteIds.length > 0) {
+    clearNoteSelection();
+    return;
   }
+
+  const shortcut = eventToShortcut(event);
+  if (!shortcut) return;
+
+  const commandId = findShortcutOwner(getShortcutBindings(), shortcut);
+  const command = COMMANDS.find(c => c.id === commandId);
+  if (!command) return;
+
+  // Les champs texte gardent l'annulation et la mise en forme natives du navigateur
+  const isTextField = event.target.matches?.('input, textarea, select');
+  if (command.editor && isTextField) return;
+
+  event.preventDefault();
+  runCommand(command);
 };
 
 // ===== INITIALIZATION =====
 
 const initializeEventListeners = () => {
   // Header actions
-  document.getElementById('newNoteBtn').addEventListener('click', handleNewNote);
+  document.getElementById('newNoteBtn').addEventListener('click', () => openNewNotePicker());
+  document.getElementById('todayNoteBtn').addEventListener('click', () => openJournalNote('daily'));
   document.getElementById('exportAllBtn').addEventListener('click', handleExportAll);
+  document.getElementById('exportMarkdownAllBtn').addEventListener('click', handleExportAllMarkdown);
+  document.getElementById('importMarkdownBtn').addEventListener('click', () => {
+    document.getElementById('markdownFileInput').click();
+  });
+  document.getElementById('markdownFileInput').addEventListener('change', handleImportMarkdown);
+  document.getElementById('backupBtn').addEventListener('click', handleBackup);
+  document.getElementById('restoreBtn').addEventListener('click', handleOpenRestore);
   document.getElementById('searchInput').addEventListener('input', handleSearch);
 
   // Sidebar
   document.getElementById('newFolderBtn').addEventListener('click', handleNewFolder);
+  document.getElementById('trashLink').addEventListener('click', handleToggleTrash);
+  document.getElementById('tasksLink').addEventListener('click', handleToggleTasks);
+  document.getElementById('taskFilterSelect').addEventListener('change', handleTaskFilterChange);
 
-  // Modal
+  // Trash
+  document.getElementById('emptyTrashBtn').addEventListener('click', handleEmptyTrash);
+  document.getElementById('trashRetentionSelect').addEventListener('change', handleTrashRetentionChange);
+
+  // Modals
   document.getElementById('createFolderBtn').addEventListener('click', handleCreateFolder);
-  document.getElementById('cancelFolderBtn').addEventListener('click', closeModal);
-  document.getElementById('folderModal').addEventListener('click', event => {
-    if (event.target.id === 'folderModal') closeModal();
+  document.getElementById('folderCategorySelect').addEventListener('change', handleFolderCategoryChange);
+  document.getElementById('confirmDeleteFolderBtn').addEventListener('click', handleConfirmDeleteFolder);
+  document.getElementById('cancelDeleteFolderBtn').addEventListener('click', () => closeModal('deleteFolderModal'));
+  document.getElementById('cancelFolderBtn').addEventListener('click', () => closeModal('folderModal'));
+  document.getElementById('confirmRestoreBtn').addEventListener('click', handleRestore);
+  document.getElementById('cancelRestoreBtn').addEventListener('click', () => closeModal('restoreModal'));
+  document.getElementById('historyCompareSelect').addEventListener('change', handleHistoryCompareChange);
+  document.getElementById('restoreVersionBtn').addEventListener('click', handleRestoreVersion);
+  document.getElementById('closeHistoryBtn').addEventListener('click', () => closeModal('historyModal'));
+  document.querySelectorAll('.modal').forEach(modal => {
+    modal.addEventListener('click', event => {
+      if (event.target === modal && !modal.classList.contains('modal--blocking')) closeModal(modal.id);
+    });
+  });
+
+  // Server sync
+  document.getElementById('syncBtn').addEventListener('click', handleSyncButton);
+  document.getElementById('syncNowBtn').addEventListener('click', syncNow);
+  document.querySelectorAll('[data-setting^="sync"]').forEach(input => {
+    input.addEventListener('change', handleSyncSettingChange);
+  });
+  document.getElementById('syncKeepLocalBtn').addEventListener('click', () => handleResolveSyncConflict('local'));
+  document.getElementById('syncKeepRemoteBtn').addEventListener('click', () => handleResolveSyncConflict('remote'));
+  window.addEventListener('online', syncNow);
+  setInterval(syncNow, SYNC_INTERVAL_MS);
+
+  // Templates and journal
+  document.getElementById('pinBtn').addEventListener('click', handleTogglePin);
+  document.getElementById('favoriteBtn').addEventListener('click', handleToggleFavorite);
+  document.getElementById('templateBtn').addEventListener('click', handleToggleTemplate);
+  document.getElementById('favoritesList').addEventListener('click', handleFavoriteClick);
+  document.getElementById('templatePickerList').addEventListener('click', handleTemplatePick);
+  document.getElementById('cancelTemplatePickerBtn').addEventListener('click', () => closeModal('templatePickerModal'));
+  ['journalFolderSelect', 'dailyTemplateSelect', 'weeklyTemplateSelect'].forEach(id => {
+    document.getElementById(id).addEventListener('change', handleJournalSettingChange);
+  });
+
+  // Vault
+  document.getElementById('vaultToggleBtn').addEventListener('click', handleVaultToggle);
+  document.getElementById('vaultLockBtn').addEventListener('click', handleLockVault);
+  document.getElementById('vaultAutoLockSelect').addEventListener('change', handleVaultAutoLockChange);
+  document.getElementById('encryptedBackupBtn').addEventListener('click', handleEncryptedBackup);
+  ['keydown', 'pointerdown', 'wheel'].forEach(type => {
+    document.addEventListener(type, recordVaultActivity, { capture: true, passive: true });
   });
+  setInterval(checkVaultAutoLock, VAULT_AUTO_LOCK_CHECK_MS);
+
+  // Changes made in other tabs
+  tabChannel.addEventListener('message', handleTabMessage);
+  document.getElementById('conflictKeepLocalBtn').addEventListener('click', handleKeepLocalVersion);
+  document.getElementById('conflictLoadOtherBtn').addEventListener('click', handleLoadOtherVersion);
 
   // Enter key in folder modal
   document.getElementById('folderNameInput').addEventListener('keypress', event => {
@@ -908,8 +7938,20 @@ const initializeEventListeners = () => {
   const bodyInput = document.getElementById('noteBody');
 
   titleInput.addEventListener('input', handleNoteTitleChange);
-  bodyInput.addEventListener('input', handleNoteContentChange);
+  bodyInput.addEventListener('beforeinput', handleEditorBeforeInput);
+  bodyInput.addEventListener('input', handleNoteBodyInput);
+  bodyInput.addEventListener('keydown', handleLinkSuggestionKeydown);
+  bodyInput.addEventListener('keydown', handleCodeBlockKeydown);
+  bodyInput.addEventListener('keydown', handleTableKeydown);
+  bodyInput.addEventListener('click', handleNoteLinkClick);
+  bodyInput.addEventListener('click', handleExternalLinkClick);
+  bodyInput.addEventListener('click', handleTaskCheckboxClick);
+  bodyInput.addEventListener('blur', hideLinkSuggestions);
   bodyInput.addEventListener('paste', handleImagePaste);
+  bodyInput.addEventListener('paste', handleCodePaste);
+  bodyInput.addEventListener('paste', handleUrlPaste);
+  bodyInput.addEventListener('paste', handleHTMLPaste);
+  document.addEventListener('selectionchange', handleEditorSelectionChange);
   bodyInput.addEventListener('drop', handleImageDrop);
   bodyInput.addEventListener('dragover', handleDragOver);
   bodyInput.addEventListener('dragleave', handleDragLeave);
@@ -917,6 +7959,20 @@ const initializeEventListeners = () => {
   // Toolbar
   document.getElementById('deleteBtn').addEventListener('click', handleDelete);
   document.getElementById('exportBtn').addEventListener('click', handleExport);
+  document.getElementById('exportMarkdownBtn').addEventListener('click', handleExportMarkdown);
+  document.getElementById('historyBtn').addEventListener('click', handleOpenHistory);
+  document.getElementById('undoBtn').addEventListener('click', handleUndo);
+  document.getElementById('redoBtn').addEventListener('click', handleRedo);
+  document.getElementById('moveNoteSelect').addEventListener('change', handleMoveNoteSelectChange);
+  renderCodeLanguageSelect();
+  document.getElementById('codeLanguageSelect').addEventListener('change', handleCodeLanguageChange);
+  document.getElementById('clearSelectionBtn').addEventListener('click', clearNoteSelection);
+
+  // Tags
+  const tagInput = document.getElementById('noteTagInput');
+  tagInput.addEventListener('keydown', handleTagInputKeydown);
+  tagInput.addEventListener('change', handleTagInputChange);
+  document.getElementById('tagMatchModeBtn').addEventListener('click', handleTagMatchModeToggle);
   document.querySelectorAll('.toolbar__button[data-action]').forEach(button => {
     button.addEventListener('click', () => {
       const action = button.dataset.action;
@@ -927,6 +7983,7 @@ const initializeEventListeners = () => {
   // Tree navigation toggles
   document.querySelectorAll('.tree-nav__header').forEach(header => {
     header.addEventListener('click', handleTreeToggle);
+    addTreeDropTarget(header, { folderId: null, category: header.dataset.category });
   });
 
   // PARA category add buttons
@@ -934,26 +7991,108 @@ const initializeEventListeners = () => {
     button.addEventListener('click', event => {
       event.stopPropagation(); // Prevent header toggle
       const category = button.dataset.category;
-      handleNewNoteInCategory(category);
+      openNewNotePicker(category);
     });
   });
 
-  // Keyboard shortcuts
+  // Keyboard shortcuts and command palette
+  document.addEventListener('keydown', handleShortcutCapture, true);
   document.addEventListener('keydown', handleKeyboardShortcuts);
+  const paletteInput = document.getElementById('commandPaletteInput');
+  paletteInput.addEventListener('input', updateCommandPalette);
+  paletteInput.addEventListener('keydown', handleCommandPaletteKeydown);
+  document.getElementById('commandPaletteBtn').addEventListener('click', openCommandPalette);
+  document.getElementById('shortcutsBtn').addEventListener('click', openShortcutsEditor);
+  document.getElementById('closeShortcutsBtn').addEventListener('click', closeShortcutsEditor);
+  document.getElementById('resetShortcutsBtn').addEventListener('click', handleResetAllShortcuts);
+
+  // Preferences
+  document.getElementById('preferencesBtn').addEventListener('click', openPreferences);
+  document.getElementById('closePreferencesBtn').addEventListener('click', () => closeModal('preferencesModal'));
+  document.getElementById('defaultCategorySelect').addEventListener('change', handleDefaultCategoryChange);
+  document.getElementById('editorFontSizeInput').addEventListener('change', handleEditorFontSizeChange);
+  document.getElementById('dateFormatSelect').addEventListener('change', handleDateFormatChange);
+  document.getElementById('themeSelect').addEventListener('change', handleThemeChange);
+  document.getElementById('highContrastInput').addEventListener('change', handleHighContrastChange);
+  document.getElementById('accentColorInput').addEventListener('change', handleAccentColorChange);
+  document.getElementById('resetAccentColorBtn').addEventListener('click', () => {
+    savePreference('accentColor', DEFAULT_ACCENT_COLOR);
+    renderPreferences();
+  });
+  document.getElementById('themeToggleBtn').addEventListener('click', handleThemeToggle);
+
+  // App update
+  document.getElementById('reloadAppBtn').addEventListener('click', handleApplyUpdate);
+  document.getElementById('dismissUpdateBtn').addEventListener('click', dismissUpdatePrompt);
+  systemDarkQuery.addEventListener('change', handleSystemThemeChange);
+  document.getElementById('preferencesShortcutsBtn').addEventListener('click', () => {
+    closeModal('preferencesModal');
+    openShortcutsEditor();
+  });
+
+  // Write pending edits before the page is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushPendingSaves();
+      saveUIState();
+    }
+  });
+  window.addEventListener('pagehide', () => {
+    flushPendingSaves();
+    saveUIState();
+  });
 };
 
 const initializeApp = async () => {
   try {
     // Initialize database
-    await openDatabase();
+    await getDatabase();
+
+    // Encrypted data stays unread until the passphrase is given
+    initializePassphraseDialog();
+    await unlockVaultAtStartup();
+
+    // Load settings, then the interface as it was left
+    const settings = await loadSettings();
+    savedUIState = Object.fromEntries(Object.keys(UI_STATE_SETTINGS).map(key => [key, settings[key]]));
+    applySettings(settings);
+    setState({
+      sortBy: settings.sortBy,
+      searchQuery: settings.searchQuery,
+      collapsedCategories: settings.collapsedCategories
+    });
+    document.getElementById('sortSelect').value = settings.sortBy;
+    document.getElementById('searchInput').value = settings.searchQuery;
+    renderCollapsedCategories();
 
-    // Load initial data
     await refreshFolders();
+    setState({ currentFolder: appState.folders.find(folder => folder.id === settings.currentFolderId) || null });
+    renderFolders(appState.folders);
+    renderListView();
     await refreshNotesList();
 
+    if (appState.notes.some(note => note.id === settings.currentNoteId)) {
+      await handleNoteSelect(settings.currentNoteId);
+    }
+
+    // Empty the trash of items older than the retention period
+    await purgeExpiredTrash();
+
+    // Clean up history of deleted notes, then images no longer referenced
+    pruneOrphanRevisions().then(garbageCollectAttachments).catch(error => {
+      console.error('❌ Error collecting attachments:', error);
+    });
+
     // Set up event listeners
     initializeEventListeners();
 
+    // Offline cache and update detection
+    registerServiceWorker();
+
+    // Pull changes made on other devices
+    renderSyncStatus();
+    syncNow();
+
     console.log('✅ Transient Notes initialized successfully');
   } catch (error) {
     console.error('❌ Error initializing app:', error);
@@ -0,0 +1,50 @@
+// ===== SERVICE WORKER =====
+
+// Remplacé par le SHA du commit au déploiement (workflows GitHub Pages) : chaque déploiement modifie sw.js,
+// et le nouveau cache remplace l'ancien une fois la mise à jour acceptée
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'transient-notes-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './app.js',
+  './styles.css',
+  './favicon.svg',
+  './manifest.webmanifest'
+];
+
+// Le nouveau worker attend l'accord de l'utilisateur avant de prendre la main (voir SKIP_WAITING)
+self.addEventListener('install', event => {
+  event.waitUntil(
+    // cache: 'reload' contourne le cache HTTP, qui pourrait encore servir les fichiers du déploiement précédent
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Cache d'abord : l'application s'ouvre sans réseau, les autres requêtes passent au réseau
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  const cached = request.mode === 'navigate'
+    ? caches.match('./index.html', { cacheName: CACHE_NAME })
+    : caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true });
+
+  event.respondWith(cached.then(response => response || fetch(request)));
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// ===== REFERENCE SYNC SERVER =====
+//
+// Serveur de synchronisation minimal, sans dépendance, pour tester hors ligne :
+//   node tools/sync-server.mjs [--port 8787] [--data sync-data.json]
+//
+// REST   : GET  /api/changes?since=<seq>  ->  { cursor, changes: [{ store, id, rev, deleted, record }] }
+//          POST /api/changes  { changes: [{ store, id, baseRev, deleted, record }] }
+//                             ->  { results: [{ store, id, status: 'ok' | 'conflict', rev }] }
+// WebDAV : GET / PUT / DELETE /dav/<fichier>, ETag et If-Match / If-None-Match
+//
+// SYNC_USER et SYNC_PASSWORD imposent une authentification Basic.
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+const getArgument = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? defaultValue : process.argv[index + 1];
+};
+
+const PORT = Number(getArgument('port', 8787));
+const DATA_FILE = getArgument('data', null);
+const { SYNC_USER, SYNC_PASSWORD } = process.env;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+// seq : dernière révision attribuée ; records : REST ; files : WebDAV
+const state = DATA_FILE && existsSync(DATA_FILE)
+  ? JSON.parse(readFileSync(DATA_FILE, 'utf8'))
+  : { seq: 0, records: {}, files: {}, etagSeq: 0 };
+
+const persist = () => {
+  if (DATA_FILE) writeFileSync(DATA_FILE, JSON.stringify(state));
+};
+
+const send = (response, status, body = null, headers = {}) => {
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    ...(body === null ? {} : { 'Content-Type': 'application/json' }),
+    ...headers
+  });
+  response.end(body === null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+};
+
+const readBody = request => new Promise((resolve, reject) => {
+  const chunks = [];
+  request.on('data', chunk => chunks.push(chunk));
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+const isAuthorized = request => {
+  if (!SYNC_USER) return true;
+  const expected = `Basic ${Buffer.from(`${SYNC_USER}:${SYNC_PASSWORD ?? ''}`).toString('base64')}`;
+  return request.headers.authorization === expected;
+};
+
+// ===== REST =====
+
+const getChanges = since => ({
+  cursor: state.seq,
+  changes: Object.values(state.records)
+    .filter(record => record.rev > since)
+    .sort((a, b) => a.rev - b.rev)
+});
+
+// Un envoi n'est accepté que s'il part de la révision actuelle de l'enregistrement
+const applyChanges = changes => changes.map(({ store, id, baseRev, deleted, record }) => {
+  const key = `${store}/${id}`;
+  if ((state.records[key]?.rev ?? 0) !== baseRev) return { store, id, status: 'conflict' };
+
+  state.seq += 1;
+  state.records[key] = { store, id, rev: state.seq, deleted: Boolean(deleted), record: deleted ? null : record };
+  return { store, id, status: 'ok', rev: state.seq };
+});
+
+const handleRest = async (request, response, url) => {
+  if (url.pathname !== '/api/changes') return send(response, 404, { error: 'Not found' });
+
+  if (request.method === 'GET') {
+    return send(response, 200, getChanges(Number(url.searchParams.get('since')) || 0));
+  }
+  if (request.method === 'POST') {
+    const { changes } = JSON.parse(await readBody(request));
+    if (!Array.isArray(changes)) return send(response, 400, { error: '"changes" must be an array' });
+    const results = applyChanges(changes);
+    persist();
+    return send(response, 200, { results });
+  }
+  return send(response, 405, { error: 'Method not allowed' });
+};
+
+// ===== WEBDAV =====
+
+const handleDav = async (request, response, url) => {
+  const name = decodeURIComponent(url.pathname.slice('/dav/'.length));
+  const file = state.files[name];
+  const ifMatch = request.headers['if-match'];
+  const ifNoneMatch = request.headers['if-none-match'];
+
+  switch (request.method) {
+    case 'GET':
+      return file ? send(response, 200, file.body, { ETag: file.etag }) : send(response, 404);
+    case 'PUT': {
+      if ((ifMatch && ifMatch !== file?.etag) || (ifNoneMatch === '*' && file)) return send(response, 412);
+      state.etagSeq += 1;
+      state.files[name] = { body: await readBody(request), etag: `"${state.etagSeq}"` };
+      persist();
+      return send(response, file ? 204 : 201, null, { ETag: state.files[name].etag });
+    }
+    case 'DELETE':
+      if (!file) return send(response, 404);
+      delete state.files[name];
+      persist();
+      return send(response, 204);
+    default:
+      return send(response, 405);
+  }
+};
+
+createServer(async (request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  try {
+    if (request.method === 'OPTIONS') return send(response, 204, null, { DAV: '1' });
+    if (!isAuthorized(request)) return send(response, 401, null, { 'WWW-Authenticate': 'Basic realm="sync"' });
+    if (url.pathname.startsWith('/api/')) return await handleRest(request, response, url);
+    if (url.pathname.startsWith('/dav/')) return await handleDav(request, response, url);
+    return send(response, 404);
+  } catch (error) {
+    console.error('❌ Error handling request:', error);
+    return send(response, 500, { error: error.message });
+  }
+}).listen(PORT, () => {
+  console.log(`✅ Sync server listening on http://localhost:${PORT} (REST: /api, WebDAV: /dav)`);
+});